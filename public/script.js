@@ -4,12 +4,71 @@ let selectedSize = null;
 let currentUser = null;
 let currentPeriod = "week";
 let caffeineChart = null;
+let statsScope = "everyone";
+let chartScope = "everyone";
+let heatmapScope = "everyone";
+let userSettings = null;
+let userGroups = [];
+let activeGroupId = null;
+let loadedEntries = [];
+let entriesCursor = null;
+let entriesLoadingMore = false;
+let editingDrinkId = null;
+let favoriteDrinks = [];
+let drinkSearchQuery = "";
+let drinkCategory = "";
+let drinkSearchTimeout = null;
+let statsTotals = { today: 0, todayCount: 0, allTime: 0 };
+let leaderboardRows = [];
+let leaderboardMetric = "total";
+let leaderboardPeriodRange = null;
+let leaderboardReloadTimeout = null;
+
+// How each leaderboard metric is shown; field matches the API rows
+const LEADERBOARD_METRICS = {
+  total: { field: "totalCaffeine", unit: "mg" },
+  average: { field: "averagePerDay", unit: "mg/day" },
+  count: { field: "entryCount", unit: "drinks" },
+  peak: { field: "peakDay", unit: "mg peak" },
+  distinct: { field: "distinctDrinks", unit: "drinks tried" },
+};
+let eventSource = null;
+let eventsRetryTimeout = null;
+let eventsRetryDelay = 1000;
+let eventsReconnecting = false;
+let openCommentThreads = new Set();
+let feedAudience = "everyone";
+let leaderboardAudience = "everyone";
+let followingIds = new Set();
+let profileUserId = null;
+let profilePeriod = "month";
+let profileChart = null;
+let replyingTo = {};
+let pendingEntries = [];
+let pendingSyncing = false;
+let userSchedules = [];
+let entryAmount = "1";
+
+// Must match REACTION_EMOJIS in server.js
+const REACTION_EMOJIS = ["👍", "🔥", "☕", "😱", "💀", "❤️"];
+
+// Identifies this tab to the live event stream, so it isn't sent its own
+// changes back (see X-Client-Id)
+const CLIENT_ID = Date.now().toString(36) + Math.random().toString(36).slice(2);
+
+// Used until the user's own settings have loaded
+const DEFAULT_DAILY_LIMIT_MG = 400;
 
 // On DOM ready
 window.addEventListener("DOMContentLoaded", () => {
   checkAuthStatus();
 });
 
+// Replay entries queued while offline as soon as the connection returns
+window.addEventListener("online", () => {
+  syncPendingEntries();
+});
+
 // Check if user is already authenticated
 async function checkAuthStatus() {
   try {
@@ -41,6 +100,7 @@ function handleCredentialResponse(response) {
     credentials: "include",
     body: JSON.stringify({
       token: response.credential,
+      timezone: browserTimezone(),
     }),
   })
     .then((res) => res.json())
@@ -60,6 +120,14 @@ function handleCredentialResponse(response) {
     });
 }
 
+function browserTimezone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  } catch (err) {
+    return undefined;
+  }
+}
+
 // Sign out
 async function signOut() {
   try {
@@ -69,6 +137,7 @@ async function signOut() {
     });
 
     currentUser = null;
+    disconnectEvents();
     showLoginScreen();
     showToast("Signed out successfully", "success");
   } catch (error) {
@@ -92,15 +161,25 @@ function showMainApp() {
     document.getElementById("userAvatar").src = currentUser.picture || "";
     document.getElementById("userName").textContent =
       currentUser.name || "User";
+    document.getElementById("rolesBtn").style.display =
+      currentUser.role === "admin" ? "" : "none";
   }
 }
 
 // Initialize app after login
 function initializeApp() {
+  loadSettings();
+  loadGroups();
   loadStats();
-  loadDrinkTypes();
+  loadActiveCaffeine();
+  loadAfterCutoff();
+  loadDrinkTypes().then(handleQuickAddLink);
+  loadFollowing();
   loadEntries();
   loadLeaderboard();
+  loadNewReactions();
+  loadPendingEntries().then(syncPendingEntries);
+  connectEvents();
 
   // Small delay to ensure DOM is ready for chart
   setTimeout(() => {
@@ -108,6 +187,7 @@ function initializeApp() {
       document.getElementById("leaderboardTab").classList.contains("active")
     ) {
       loadCaffeineChart();
+      loadHeatmap();
     }
   }, 100);
 }
@@ -136,6 +216,7 @@ function showTab(tabName) {
     // Small delay to ensure tab content is visible
     setTimeout(() => {
       loadCaffeineChart();
+      loadHeatmap();
     }, 100);
   }
 }
@@ -146,8 +227,8 @@ async function loadStats() {
 
   try {
     const [todayRes, allRes] = await Promise.all([
-      fetch("/api/total-today", { credentials: "include" }),
-      fetch("/api/total-all", { credentials: "include" }),
+      fetch(`/api/total-today?scope=${statsScope}`, { credentials: "include" }),
+      fetch(`/api/total-all?scope=${statsScope}`, { credentials: "include" }),
     ]);
 
     if (!todayRes.ok || !allRes.ok) {
@@ -157,15 +238,480 @@ async function loadStats() {
     const today = await todayRes.json();
     const all = await allRes.json();
 
-    document.getElementById("todayTotal").textContent = Math.round(today.total);
-    document.getElementById("todayCount").textContent = today.count;
-    document.getElementById("allTimeTotal").textContent = Math.round(all.total);
+    statsTotals = {
+      today: today.total,
+      todayCount: today.count,
+      allTime: all.total,
+    };
+    renderStats();
   } catch (err) {
     console.error("Error loading stats", err);
     showToast("Failed to load stats", "error");
   }
 }
 
+function renderStats() {
+  document.getElementById("todayTotal").textContent = Math.round(
+    statsTotals.today
+  );
+  document.getElementById("todayCount").textContent = statsTotals.todayCount;
+  document.getElementById("allTimeTotal").textContent = Math.round(
+    statsTotals.allTime
+  );
+}
+
+// Switch stats cards between "me" and "everyone"
+function changeStatsScope(scope) {
+  statsScope = scope;
+  updateScopeToggle("statsScopeToggle", scope);
+  loadStats();
+}
+
+// Switch chart between "me" and "everyone"
+function changeChartScope(scope) {
+  chartScope = scope;
+  updateScopeToggle("chartScopeToggle", scope);
+  loadCaffeineChart();
+}
+
+function changeHeatmapScope(scope) {
+  heatmapScope = scope;
+  updateScopeToggle("heatmapScopeToggle", scope);
+  loadHeatmap();
+}
+
+function updateScopeToggle(toggleId, scope) {
+  document
+    .querySelectorAll(`#${toggleId} .scope-btn`)
+    .forEach((btn) =>
+      btn.classList.toggle("active", btn.dataset.scope === scope)
+    );
+}
+
+// Load caffeine currently active in the user's system
+async function loadActiveCaffeine() {
+  if (!currentUser) return;
+
+  try {
+    const res = await fetch("/api/caffeine-active", { credentials: "include" });
+    if (!res.ok) throw new Error("Failed to fetch active caffeine");
+
+    const data = await res.json();
+    renderActiveCaffeine(data);
+  } catch (err) {
+    console.error("Error loading active caffeine", err);
+  }
+}
+
+function renderActiveCaffeine(data) {
+  const activeMg = Math.round(data.activeMg);
+  const gaugeMaxMg = dailyLimitMg();
+  const pct = Math.min(100, (activeMg / gaugeMaxMg) * 100);
+  const gauge = document.getElementById("activeGauge");
+
+  document.getElementById("activeCaffeine").textContent = activeMg;
+  gauge.style.setProperty("--gauge-pct", pct);
+  gauge.classList.toggle("high", pct >= 75);
+
+  // Sparkline of the next 24 hours
+  const peak = Math.max(gaugeMaxMg / 4, ...data.curve.map((p) => p.mg));
+  const points = data.curve
+    .map((p, i) => {
+      const x = (i / (data.curve.length - 1)) * 100;
+      const y = 30 - (p.mg / peak) * 28;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(" ");
+  document.getElementById(
+    "activeCurve"
+  ).innerHTML = `<polyline points="${points}" />`;
+
+  // Point 12 is six hours from now
+  const later = data.curve[12];
+  document.getElementById("activeProjection").textContent = later
+    ? `~${Math.round(later.mg)} mg at ${new Date(later.time).toLocaleTimeString(
+        [],
+        { hour: "2-digit", minute: "2-digit" }
+      )}`
+    : "";
+}
+
+// Count of this week's drinks logged after the user's caffeine cutoff
+async function loadAfterCutoff() {
+  if (!currentUser) return;
+
+  try {
+    const res = await fetch("/api/after-cutoff", { credentials: "include" });
+    if (!res.ok) throw new Error("Failed to fetch after-cutoff drinks");
+
+    const data = await res.json();
+    document.getElementById("afterCutoffCount").textContent = data.count;
+    document.getElementById("afterCutoffTrend").textContent = `${
+      data.previousCount
+    } last week · cutoff ${formatClockTime(data.caffeineCutoff)}`;
+  } catch (err) {
+    console.error("Error loading after-cutoff drinks", err);
+  }
+}
+
+// "HH:MM" in the browser's time format
+function formatClockTime(value) {
+  const [hours, minutes] = value.split(":").map(Number);
+  return new Date(2000, 0, 1, hours, minutes).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+// Settings
+async function loadSettings() {
+  try {
+    const res = await fetch("/api/settings", { credentials: "include" });
+    if (!res.ok) throw new Error("Failed to fetch settings");
+
+    userSettings = await res.json();
+    return userSettings;
+  } catch (err) {
+    console.error("Error loading settings", err);
+    return null;
+  }
+}
+
+function dailyLimitMg() {
+  return (userSettings && userSettings.dailyLimitMg) || DEFAULT_DAILY_LIMIT_MG;
+}
+
+// Volumes are stored in ml and shown in the user's chosen units
+const ML_PER_FL_OZ = 29.5735;
+
+function imperialUnits() {
+  return Boolean(userSettings && userSettings.units === "imperial");
+}
+
+function volumeUnitLabel() {
+  return imperialUnits() ? "fl oz" : "ml";
+}
+
+function mlToDisplay(ml) {
+  return imperialUnits()
+    ? Math.round((ml / ML_PER_FL_OZ) * 10) / 10
+    : Math.round(ml);
+}
+
+function displayToMl(value) {
+  return imperialUnits() ? value * ML_PER_FL_OZ : value;
+}
+
+function formatVolume(ml) {
+  return `${mlToDisplay(ml)} ${volumeUnitLabel()}`;
+}
+
+async function showSettingsModal() {
+  const settings = await loadSettings();
+  if (!settings) {
+    showToast("Failed to load settings", "error");
+    return;
+  }
+
+  renderTimezoneOptions(settings.timezone);
+  document.getElementById("halfLifeHours").value = settings.halfLifeHours;
+  document.getElementById("dailyLimitMg").value = settings.dailyLimitMg;
+  document.getElementById("singleDoseLimitMg").value =
+    settings.singleDoseLimitMg;
+  document.getElementById("bedtime").value = settings.bedtime;
+  document.getElementById("caffeineCutoff").value = settings.caffeineCutoff;
+  document.getElementById("units").value = settings.units;
+  document.getElementById("settingsModal").style.display = "flex";
+}
+
+function renderTimezoneOptions(selected) {
+  const select = document.getElementById("timezone");
+  let zones = [];
+  try {
+    zones = Intl.supportedValuesOf("timeZone");
+  } catch (err) {
+    // Older browsers can't list zones; offer the current and detected ones
+  }
+  zones = [...new Set([selected, browserTimezone(), ...zones])].filter(Boolean);
+
+  select.innerHTML = zones
+    .map(
+      (zone) => `<option value="${zone}">${zone.replace(/_/g, " ")}</option>`
+    )
+    .join("");
+  select.value = selected;
+}
+
+function closeSettingsModal() {
+  document.getElementById("settingsModal").style.display = "none";
+  document.getElementById("importResult").innerHTML = "";
+}
+
+// Export/import entry history
+function exportEntries(format) {
+  const params = new URLSearchParams({ format });
+  const from = document.getElementById("exportFrom").value;
+  const to = document.getElementById("exportTo").value;
+  if (from) params.set("from", from);
+  if (to) params.set("to", to);
+
+  // The server sends it as an attachment, so this downloads in place
+  window.location.href = `/api/entries/export?${params}`;
+}
+
+async function importEntries() {
+  const input = document.getElementById("importFile");
+  const resultEl = document.getElementById("importResult");
+  const file = input.files[0];
+
+  if (!file) {
+    showToast("Choose a CSV or JSON file first", "error");
+    return;
+  }
+
+  const format = file.name.toLowerCase().endsWith(".json") ? "json" : "csv";
+  resultEl.textContent = "Importing...";
+
+  try {
+    const res = await fetch(`/api/entries/import?format=${format}`, {
+      method: "POST",
+      headers: { "Content-Type": "text/plain" },
+      credentials: "include",
+      body: await file.text(),
+    });
+
+    const result = await res.json();
+    if (!res.ok) {
+      throw new Error(result.error || "Failed to import entries");
+    }
+
+    resultEl.innerHTML = `
+      <div>Imported ${result.imported} entr${
+      result.imported === 1 ? "y" : "ies"
+    }, rejected ${result.rejected.length}.</div>
+      ${
+        result.rejected.length
+          ? `<ul>${result.rejected
+              .map(
+                (r) =>
+                  `<li>${format === "csv" ? "Line" : "Row"} ${
+                    r.row
+                  }: ${escapeHtml(r.reason)}</li>`
+              )
+              .join("")}</ul>`
+          : ""
+      }
+    `;
+    input.value = "";
+
+    if (result.imported) {
+      loadStats();
+      loadActiveCaffeine();
+      loadAfterCutoff();
+      loadEntries();
+      showToast(`Imported ${result.imported} entries!`, "success");
+      announceAchievements(result.achievements);
+    }
+  } catch (err) {
+    console.error("Error importing entries", err);
+    resultEl.textContent = "";
+    showToast(err.message || "Could not import entries", "error");
+  }
+}
+
+// Groups
+async function loadGroups() {
+  try {
+    const res = await fetch("/api/groups", { credentials: "include" });
+    if (!res.ok) throw new Error("Failed to fetch groups");
+
+    const data = await res.json();
+    userGroups = data.groups;
+    activeGroupId = data.activeGroupId;
+    renderGroupSelect();
+    renderGroupsList();
+  } catch (err) {
+    console.error("Error loading groups", err);
+  }
+}
+
+function renderGroupSelect() {
+  const select = document.getElementById("activeGroupSelect");
+  select.innerHTML =
+    `<option value="">Everyone</option>` +
+    userGroups
+      .map(
+        (group) =>
+          `<option value="${group._id}">${escapeHtml(group.name)}</option>`
+      )
+      .join("");
+  select.value = activeGroupId || "";
+}
+
+function renderGroupsList() {
+  const list = document.getElementById("groupsList");
+
+  if (!userGroups.length) {
+    list.innerHTML = `<div class="loading">You're not in any groups yet.</div>`;
+    return;
+  }
+
+  list.innerHTML = userGroups
+    .map(
+      (group) => `
+      <div class="group-item ${group._id === activeGroupId ? "active" : ""}">
+        <div class="group-item-header">
+          <div>
+            <div class="group-name">${escapeHtml(group.name)}</div>
+            <div class="group-meta">
+              ${group.memberCount} member${group.memberCount === 1 ? "" : "s"}
+              · code <span class="invite-code" onclick="copyInviteCode('${
+                group.inviteCode
+              }')" title="Copy invite code">${group.inviteCode}</span>
+            </div>
+          </div>
+        </div>
+        <div class="group-actions">
+          ${
+            group._id === activeGroupId
+              ? ""
+              : `<button onclick="changeActiveGroup('${group._id}')">Set active</button>`
+          }
+          <button onclick="toggleGroupMembers('${group._id}')">Members</button>
+          <button class="danger" onclick="leaveGroup('${
+            group._id
+          }')">Leave</button>
+        </div>
+        <div id="groupMembers-${
+          group._id
+        }" class="group-members" style="display:none"></div>
+      </div>
+    `
+    )
+    .join("");
+}
+
+function showGroupsModal() {
+  renderGroupsList();
+  document.getElementById("groupsModal").style.display = "flex";
+}
+
+function closeGroupsModal() {
+  document.getElementById("groupsModal").style.display = "none";
+  document.getElementById("createGroupForm").reset();
+  document.getElementById("joinGroupForm").reset();
+}
+
+async function copyInviteCode(code) {
+  try {
+    await navigator.clipboard.writeText(code);
+    showToast("Invite code copied!", "success");
+  } catch (err) {
+    showToast(`Invite code: ${code}`, "info");
+  }
+}
+
+async function toggleGroupMembers(groupId) {
+  const container = document.getElementById(`groupMembers-${groupId}`);
+  if (container.style.display !== "none") {
+    container.style.display = "none";
+    return;
+  }
+
+  try {
+    const res = await fetch(`/api/groups/${groupId}/members`, {
+      credentials: "include",
+    });
+    if (!res.ok) throw new Error("Failed to fetch members");
+
+    const members = await res.json();
+    container.innerHTML = members
+      .map(
+        (member) => `
+        <span class="group-member">
+          ${
+            member.userAvatar
+              ? `<img src="${escapeHtml(
+                  member.userAvatar
+                )}" class="entry-user-avatar" alt="${escapeHtml(
+                  member.userName
+                )}">`
+              : ""
+          }
+          ${escapeHtml(member.userName)}
+        </span>
+      `
+      )
+      .join("");
+    container.style.display = "flex";
+  } catch (err) {
+    console.error("Error loading group members", err);
+    showToast("Failed to load members", "error");
+  }
+}
+
+async function changeActiveGroup(groupId) {
+  try {
+    const res = await fetch("/api/groups/active", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({ groupId: groupId || null }),
+    });
+
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(error.error || "Failed to switch group");
+    }
+
+    activeGroupId = groupId || null;
+    renderGroupSelect();
+    renderGroupsList();
+    refreshVisibleData();
+  } catch (err) {
+    console.error("Error switching group", err);
+    showToast(err.message || "Could not switch group", "error");
+    renderGroupSelect();
+  }
+}
+
+async function leaveGroup(groupId) {
+  const group = userGroups.find((g) => g._id === groupId);
+  if (!confirm(`Leave ${group ? group.name : "this group"}?`)) {
+    return;
+  }
+
+  try {
+    const res = await fetch(`/api/groups/${groupId}/leave`, {
+      method: "POST",
+      credentials: "include",
+    });
+
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(error.error || "Failed to leave group");
+    }
+
+    showToast("Left group", "success");
+    await loadGroups();
+    refreshVisibleData();
+  } catch (err) {
+    console.error("Error leaving group", err);
+    showToast(err.message || "Could not leave group", "error");
+  }
+}
+
+// Reload everything scoped by the active group
+function refreshVisibleData() {
+  loadStats();
+  loadEntries();
+  if (document.getElementById("leaderboardTab").classList.contains("active")) {
+    loadLeaderboard();
+    loadCaffeineChart();
+    loadHeatmap();
+  }
+}
+
 // Load drinks
 async function loadDrinkTypes() {
   try {
@@ -173,7 +719,8 @@ async function loadDrinkTypes() {
     if (!res.ok) throw new Error("Failed to fetch drink types");
 
     drinkTypes = await res.json();
-    renderDrinks();
+    applyDrinkFilters();
+    loadPersonalDrinks();
   } catch (err) {
     console.error("Error loading drink types", err);
     showToast("Failed to load drinks", "error");
@@ -190,7 +737,7 @@ async function loadDrinkTypes() {
   }
 }
 
-function renderDrinks() {
+function renderDrinks(types = drinkTypes) {
   const grid = document.getElementById("drinksGrid");
   grid.innerHTML = "";
 
@@ -201,9 +748,10 @@ function renderDrinks() {
   addBtn.innerHTML = `<div class="plus">+</div><div class="label">Add Drink</div>`;
   grid.appendChild(addBtn);
 
-  drinkTypes.forEach((drink) => {
+  types.forEach((drink) => {
     const card = document.createElement("div");
     card.className = "drink-card";
+    const isFavorite = favoriteDrinks.some((f) => f._id === drink._id);
 
     // Show caffeine range if multiple sizes
     const caffeineDisplay =
@@ -212,26 +760,36 @@ function renderDrinks() {
             ...drink.sizes.map((s) => s.caffeineMg)
           )} mg`
         : `${drink.sizes[0].caffeineMg} mg`;
+    // Names and image URLs can be edited by other members
+    const name = escapeHtml(drink.name);
 
     card.innerHTML = `
-      <button class="delete-btn" onclick="deleteDrinkType('${
-        drink._id
-      }', event)" title="Delete drink" aria-label="Delete ${
-      drink.name
-    }">×</button>
+      ${
+        canManageDrink(drink)
+          ? `<button class="edit-btn" onclick="showEditDrinkModal('${drink._id}', event)" title="Edit drink" aria-label="Edit ${name}">✎</button>
+             <button class="delete-btn" onclick="deleteDrinkType('${drink._id}', event)" title="Delete drink" aria-label="Delete ${name}">×</button>`
+          : ""
+      }
       <div class="drink-img-container">
         ${
           drink.imageUrl && drink.imageUrl !== "/images/noImage.png"
-            ? `<img src="${drink.imageUrl}" alt="${drink.name}" class="drink-img" onerror="this.style.display='none'; this.nextElementSibling.style.display='flex'" loading="lazy" />`
+            ? `<img src="${escapeHtml(
+                drink.imageUrl
+              )}" alt="${name}" class="drink-img" onerror="this.style.display='none'; this.nextElementSibling.style.display='flex'" loading="lazy" />`
             : ""
         }
         <div class="drink-img-placeholder" ${
           drink.imageUrl && drink.imageUrl !== "/images/noImage.png"
             ? 'style="display:none"'
             : ""
-        }>${drink.name.charAt(0).toUpperCase()}</div>
+        }>${escapeHtml(drink.name.charAt(0).toUpperCase())}</div>
       </div>
-      <div class="drink-name">${escapeHtml(drink.name)}</div>
+      <button class="favorite-btn ${
+        isFavorite ? "active" : ""
+      }" onclick="toggleFavorite('${drink._id}', event)" title="${
+      isFavorite ? "Remove from favorites" : "Add to favorites"
+    }">${isFavorite ? "★" : "☆"}</button>
+      <div class="drink-name">${name}</div>
       <div class="drink-caffeine">${caffeineDisplay}</div>
       ${
         drink.sizes.length > 1
@@ -240,7 +798,11 @@ function renderDrinks() {
       }
     `;
     card.onclick = (e) => {
-      if (!e.target.classList.contains("delete-btn")) {
+      if (
+        !e.target.classList.contains("delete-btn") &&
+        !e.target.classList.contains("edit-btn") &&
+        !e.target.classList.contains("favorite-btn")
+      ) {
         selectDrink(drink);
       }
     };
@@ -248,6 +810,154 @@ function renderDrinks() {
   });
 }
 
+// Drink search and category filters
+function onDrinkSearchInput(value) {
+  drinkSearchQuery = value.trim();
+  clearTimeout(drinkSearchTimeout);
+  drinkSearchTimeout = setTimeout(applyDrinkFilters, 250);
+}
+
+function changeDrinkCategory(category) {
+  drinkCategory = category;
+  document
+    .querySelectorAll("#categoryFilters .category-chip")
+    .forEach((chip) =>
+      chip.classList.toggle("active", chip.dataset.category === category)
+    );
+  applyDrinkFilters();
+}
+
+// Show the full catalog, or ask the server when a search/filter is active
+async function applyDrinkFilters() {
+  if (!drinkSearchQuery && !drinkCategory) {
+    renderDrinks(drinkTypes);
+    return;
+  }
+
+  const params = new URLSearchParams();
+  if (drinkSearchQuery) params.set("q", drinkSearchQuery);
+  if (drinkCategory) params.set("category", drinkCategory);
+  const requested = params.toString();
+
+  try {
+    const res = await fetch(`/api/types/search?${requested}`, {
+      credentials: "include",
+    });
+    if (!res.ok) throw new Error("Failed to search drinks");
+
+    const results = await res.json();
+
+    // Ignore responses for a search the user has already changed
+    const current = new URLSearchParams();
+    if (drinkSearchQuery) current.set("q", drinkSearchQuery);
+    if (drinkCategory) current.set("category", drinkCategory);
+    if (current.toString() !== requested) return;
+
+    renderDrinks(results);
+    if (!results.length) {
+      document
+        .getElementById("drinksGrid")
+        .insertAdjacentHTML(
+          "beforeend",
+          `<div class="loading">No drinks match your search.</div>`
+        );
+    }
+  } catch (err) {
+    console.error("Error searching drinks", err);
+    showToast("Failed to search drinks", "error");
+  }
+}
+
+// Favorites and recently logged drinks
+async function loadPersonalDrinks() {
+  try {
+    const [favoritesRes, recentRes] = await Promise.all([
+      fetch("/api/types/favorites", { credentials: "include" }),
+      fetch("/api/types/recent", { credentials: "include" }),
+    ]);
+    if (!favoritesRes.ok || !recentRes.ok) {
+      throw new Error("Failed to fetch favorites and recents");
+    }
+
+    favoriteDrinks = await favoritesRes.json();
+    const recent = await recentRes.json();
+
+    renderQuickDrinks(
+      "favoriteDrinks",
+      favoriteDrinks.map((type) => ({ type }))
+    );
+    renderQuickDrinks("recentDrinks", recent);
+    applyDrinkFilters();
+  } catch (err) {
+    console.error("Error loading favorites and recents", err);
+  }
+}
+
+// Render a row of one-tap drink chips; items carry an optional sizeName
+function renderQuickDrinks(containerId, items) {
+  const container = document.getElementById(containerId);
+  const section = container.closest(".quick-drinks");
+  section.style.display = items.length ? "" : "none";
+
+  container.innerHTML = "";
+  items.forEach(({ type, sizeName }) => {
+    const chip = document.createElement("button");
+    chip.className = "quick-drink";
+    chip.textContent = sizeName ? `${sizeName} ${type.name}` : type.name;
+    chip.onclick = () => {
+      const size = sizeName && type.sizes.find((s) => s.name === sizeName);
+      selectedDrink = type;
+      if (size) {
+        selectSize(size);
+      } else {
+        selectDrink(type);
+      }
+    };
+    container.appendChild(chip);
+  });
+}
+
+async function toggleFavorite(drinkId, event) {
+  event.stopPropagation();
+  const isFavorite = favoriteDrinks.some((f) => f._id === drinkId);
+
+  try {
+    const res = await fetch(`/api/types/${drinkId}/favorite`, {
+      method: isFavorite ? "DELETE" : "POST",
+      credentials: "include",
+    });
+
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(error.error || "Failed to update favorites");
+    }
+
+    loadPersonalDrinks();
+  } catch (err) {
+    console.error("Error updating favorites", err);
+    showToast(err.message || "Failed to update favorites", "error");
+  }
+}
+
+// Moderators can manage any drink, members only the ones they created
+function isModerator() {
+  return (
+    currentUser &&
+    (currentUser.role === "admin" || currentUser.role === "moderator")
+  );
+}
+
+function canManageDrink(drink) {
+  return (
+    isModerator() ||
+    Boolean(
+      currentUser &&
+        drink.createdBy &&
+        drink.createdBy.userId === currentUser.googleId
+    )
+  );
+}
+
 // Helper function to escape HTML
 function escapeHtml(text) {
   const map = {
@@ -277,6 +987,7 @@ async function deleteDrinkType(drinkId, event) {
   try {
     const res = await fetch(`/api/types/${drinkId}`, {
       method: "DELETE",
+      headers: { "X-Client-Id": CLIENT_ID },
       credentials: "include",
     });
 
@@ -307,9 +1018,45 @@ function selectDrink(drink) {
   }
 }
 
-function showSizeSelectionModal() {
-  document.getElementById(
-    "sizeModalTitle"
+// ?quickAdd=<typeId>:<size name> (from app shortcuts or a home screen
+// bookmark) logs that drink straight away through the normal entry flow
+function handleQuickAddLink() {
+  const params = new URLSearchParams(window.location.search);
+  const quickAdd = params.get("quickAdd");
+  if (!quickAdd) return;
+
+  // Only ever handle the link once, even if the page is reloaded
+  params.delete("quickAdd");
+  const query = params.toString();
+  history.replaceState(
+    null,
+    "",
+    `${window.location.pathname}${query ? `?${query}` : ""}`
+  );
+
+  const separator = quickAdd.indexOf(":");
+  const typeId = separator === -1 ? quickAdd : quickAdd.slice(0, separator);
+  const sizeName = separator === -1 ? null : quickAdd.slice(separator + 1);
+
+  const drink = drinkTypes.find((type) => type._id === typeId);
+  const size =
+    drink &&
+    (sizeName === null && drink.sizes.length === 1
+      ? drink.sizes[0]
+      : drink.sizes.find((s) => s.name === sizeName));
+  if (!size) {
+    showToast("That quick-add drink is no longer available", "error");
+    return;
+  }
+
+  selectDrink(drink);
+  if (drink.sizes.length > 1) selectSize(size);
+  addEntryForm.requestSubmit();
+}
+
+function showSizeSelectionModal() {
+  document.getElementById(
+    "sizeModalTitle"
   ).textContent = `Select ${selectedDrink.name} Size`;
 
   const sizeOptions = document.getElementById("sizeOptions");
@@ -320,7 +1067,9 @@ function showSizeSelectionModal() {
     sizeOption.className = "size-option";
     sizeOption.innerHTML = `
       <div class="size-option-name">${escapeHtml(size.name)}</div>
-      <div class="size-option-caffeine">${size.caffeineMg} mg caffeine</div>
+      <div class="size-option-caffeine">${size.caffeineMg} mg caffeine${
+      size.volumeMl ? ` · ${formatVolume(size.volumeMl)}` : ""
+    }</div>
     `;
     sizeOption.onclick = () => selectSize(size);
     sizeOptions.appendChild(sizeOption);
@@ -343,9 +1092,21 @@ function showAddEntryModal() {
   document.getElementById("selectedDrinkInfo").innerHTML = `
     <div><strong>${escapeHtml(fullName)}</strong> - ${
     selectedSize.caffeineMg
-  } mg caffeine</div>
+  } mg caffeine${
+    selectedSize.volumeMl ? ` in ${formatVolume(selectedSize.volumeMl)}` : ""
+  }</div>
   `;
+  const timestampInput = document.getElementById("entryTimestamp");
+  timestampInput.value = toDateTimeLocalValue(new Date());
+  timestampInput.max = toDateTimeLocalValue(new Date());
+
+  // Custom volumes need the size's volume to work out its concentration
+  document.querySelector(
+    '#entryAmountToggle [data-scope="custom"]'
+  ).style.display = selectedSize.volumeMl ? "" : "none";
+  document.getElementById("customVolumeUnit").textContent = volumeUnitLabel();
   document.getElementById("addEntryModal").style.display = "flex";
+  changeEntryAmount("1");
 
   // Focus the description textarea for better UX
   setTimeout(() => {
@@ -353,20 +1114,137 @@ function showAddEntryModal() {
   }, 100);
 }
 
+// Amount picker in the add-entry modal: the full size, a fraction of it,
+// or a custom volume at the size's concentration
+const PORTION_LABELS = { 0.75: "¾", 0.5: "½", 0.25: "¼" };
+
+function changeEntryAmount(amount) {
+  entryAmount = amount;
+  updateScopeToggle("entryAmountToggle", amount);
+  document.getElementById("customAmountRow").style.display =
+    amount === "custom" ? "flex" : "none";
+  if (amount === "custom") document.getElementById("customVolume").focus();
+  updateEntryAmount();
+  updateBedtimeProjection();
+}
+
+// Size name, mg and volume for the picked amount, or null while the
+// custom volume isn't valid
+function selectedAmount() {
+  const size = selectedSize;
+
+  if (entryAmount === "custom") {
+    const volumeMl = displayToMl(
+      parseFloat(document.getElementById("customVolume").value)
+    );
+    if (!(volumeMl > 0) || !size.volumeMl) return null;
+    return {
+      sizeName: `${Math.round(volumeMl)} ml`,
+      caffeineMg:
+        Math.round(volumeMl * (size.caffeineMg / size.volumeMl) * 10) / 10,
+      volumeMl,
+      isCustomDrink: true,
+    };
+  }
+
+  const portion = Number(entryAmount);
+  return {
+    sizeName:
+      portion === 1 ? size.name : `${PORTION_LABELS[portion]} ${size.name}`,
+    caffeineMg: Math.round(size.caffeineMg * portion * 10) / 10,
+    volumeMl: size.volumeMl ? size.volumeMl * portion : undefined,
+    isCustomDrink: portion !== 1,
+  };
+}
+
+function updateEntryAmount() {
+  const amount = selectedAmount();
+  document.getElementById("entryAmountMg").textContent = amount
+    ? `${amount.caffeineMg} mg caffeine${
+        amount.volumeMl ? ` in ${formatVolume(amount.volumeMl)}` : ""
+      }`
+    : `Enter an amount in ${volumeUnitLabel()}`;
+}
+
+// Show how much of the selected drink's caffeine will last until bedtime
+async function updateBedtimeProjection() {
+  const container = document.getElementById("bedtimeProjection");
+  if (!selectedSize) return;
+
+  const timestampValue = document.getElementById("entryTimestamp").value;
+  container.textContent = "";
+  const amount = selectedAmount();
+  if (!amount) return;
+
+  const limits = await checkEntryLimits(
+    amount.caffeineMg,
+    timestampValue ? new Date(timestampValue).toISOString() : undefined
+  );
+  if (!limits || !limits.bedtime) return;
+
+  container.innerHTML = bedtimeProjectionHtml(limits.bedtime);
+  container.classList.toggle("warning", limits.bedtime.warning);
+}
+
+function bedtimeProjectionHtml(projection) {
+  const timeOf = (date) =>
+    new Date(date).toLocaleTimeString([], {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  const activeMg = Math.round(projection.activeMg);
+  const lines = [
+    projection.pastBedtime
+      ? `It's past your ${timeOf(
+          projection.bedtime
+        )} bedtime: ~${activeMg} mg active an hour from now.`
+      : `~${activeMg} mg still active at bedtime (${timeOf(
+          projection.bedtime
+        )}), ${Math.round(projection.entryMg)} mg of it from this drink.`,
+  ];
+  if (projection.afterCutoff) {
+    lines.push(
+      `This is after your ${timeOf(projection.cutoff)} caffeine cutoff.`
+    );
+  }
+  return lines.map((line) => `<div>${escapeHtml(line)}</div>`).join("");
+}
+
+// Format a date for a datetime-local input (browser's local time)
+function toDateTimeLocalValue(date) {
+  const d = new Date(date);
+  d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+  return d.toISOString().slice(0, 16);
+}
+
 function closeSizeSelectionModal() {
   document.getElementById("sizeSelectionModal").style.display = "none";
 }
 
 // Size variant management for add drink form
+function sizeVariantHtml(size = {}) {
+  return `
+    <input type="text" placeholder="Size name (e.g., 12oz)" class="size-name" required value="${escapeHtml(
+      size.name || ""
+    )}" />
+    <input type="number" placeholder="Caffeine (mg)" class="size-caffeine" required min="1" step="0.1" value="${
+      size.caffeineMg ?? ""
+    }" />
+    <input type="number" placeholder="Volume (${volumeUnitLabel()}, optional)" class="size-volume" min="0" step="any" value="${
+    size.volumeMl ? mlToDisplay(size.volumeMl) : ""
+  }" data-ml="${size.volumeMl || ""}" />
+    <input type="text" placeholder="UPC (optional)" class="size-upc" inputmode="numeric" value="${escapeHtml(
+      size.upc || ""
+    )}" />
+    <button type="button" onclick="removeSizeVariant(this)" class="remove-size" title="Remove size">×</button>
+  `;
+}
+
 function addSizeVariant() {
   const container = document.getElementById("sizeVariants");
   const variant = document.createElement("div");
   variant.className = "size-variant";
-  variant.innerHTML = `
-    <input type="text" placeholder="Size name (e.g., 12oz)" class="size-name" required />
-    <input type="number" placeholder="Caffeine (mg)" class="size-caffeine" required min="1" step="0.1" />
-    <button type="button" onclick="removeSizeVariant(this)" class="remove-size" title="Remove size">×</button>
-  `;
+  variant.innerHTML = sizeVariantHtml();
   container.appendChild(variant);
 
   // Focus the new size name input
@@ -395,20 +1273,375 @@ function closeAddDrinkModal() {
   document.getElementById("addDrinkModal").style.display = "none";
   document.getElementById("addDrinkForm").reset();
 
+  // Leave edit mode
+  editingDrinkId = null;
+  document.getElementById("drinkModalTitle").textContent = "Add New Drink";
+  document.getElementById("drinkSubmitBtn").textContent = "Add Drink";
+  document.getElementById("drinkHistory").innerHTML = "";
+
   // Reset to one size variant
   const container = document.getElementById("sizeVariants");
-  container.innerHTML = `
-    <div class="size-variant">
-      <input type="text" placeholder="Size name (e.g., 12oz)" class="size-name" required />
-      <input type="number" placeholder="Caffeine (mg)" class="size-caffeine" required min="1" step="0.1" />
-      <button type="button" onclick="removeSizeVariant(this)" class="remove-size" title="Remove size">×</button>
+  container.innerHTML = `<div class="size-variant">${sizeVariantHtml()}</div>`;
+}
+
+// Edit drink type (reuses the add drink modal)
+function showEditDrinkModal(drinkId, event) {
+  event.stopPropagation();
+
+  const drink = drinkTypes.find((d) => d._id === drinkId);
+  if (!drink) return;
+
+  editingDrinkId = drinkId;
+  document.getElementById("drinkModalTitle").textContent = `Edit ${drink.name}`;
+  document.getElementById("drinkSubmitBtn").textContent = "Save Changes";
+  document.getElementById("drinkName").value = drink.name;
+  document.getElementById("imageUrl").value =
+    drink.imageUrl && drink.imageUrl !== "/images/noImage.png"
+      ? drink.imageUrl
+      : "";
+  document.getElementById("drinkCategory").value = drink.category || "other";
+  document.getElementById("drinkTags").value = (drink.tags || []).join(", ");
+  document.getElementById("sizeVariants").innerHTML = drink.sizes
+    .map((size) => `<div class="size-variant">${sizeVariantHtml(size)}</div>`)
+    .join("");
+
+  loadDrinkHistory(drinkId);
+  document.getElementById("addDrinkModal").style.display = "flex";
+}
+
+async function loadDrinkHistory(drinkId) {
+  const container = document.getElementById("drinkHistory");
+  container.innerHTML = `<div class="loading">Loading history...</div>`;
+
+  try {
+    const res = await fetch(`/api/types/${drinkId}/revisions`, {
+      credentials: "include",
+    });
+    if (!res.ok) throw new Error("Failed to fetch history");
+
+    const revisions = await res.json();
+    container.innerHTML = revisions.length
+      ? `<div class="panel-subtitle">History</div>` +
+        revisions.map(renderRevision).join("")
+      : "";
+  } catch (err) {
+    console.error("Error loading drink history", err);
+    container.innerHTML = "";
+  }
+}
+
+function renderRevision(revision) {
+  const fields = Object.entries(revision.changes || {}).map(([field, c]) => {
+    if (field === "name") {
+      return `name (${escapeHtml(c.from)} → ${escapeHtml(c.to)})`;
+    }
+    if (field === "imageUrl") return "image";
+    return field;
+  });
+
+  return `
+    <div class="revision-item">
+      <span class="revision-who">${escapeHtml(revision.userName)}</span>
+      ${revision.action}${fields.length ? ` ${fields.join(", ")}` : ""}
+      <span class="revision-when">${formatTime(revision.createdAt)}</span>
     </div>
   `;
 }
 
+// Barcode scanning
+let scanStream = null;
+let scanTimeout = null;
+let scannedProduct = null;
+
+async function showScanModal() {
+  document.getElementById("scanModal").style.display = "flex";
+  document.getElementById("scanProduct").style.display = "none";
+  document.getElementById("manualUpc").value = "";
+  scannedProduct = null;
+
+  const status = document.getElementById("scanStatus");
+  const video = document.getElementById("scanVideo");
+
+  if (!("BarcodeDetector" in window) || !navigator.mediaDevices) {
+    video.style.display = "none";
+    status.textContent =
+      "Camera scanning isn't supported in this browser. Enter the barcode number below.";
+    return;
+  }
+
+  try {
+    const formats = await BarcodeDetector.getSupportedFormats();
+    const detector = new BarcodeDetector({
+      formats: ["ean_13", "ean_8", "upc_a", "upc_e"].filter((f) =>
+        formats.includes(f)
+      ),
+    });
+
+    scanStream = await navigator.mediaDevices.getUserMedia({
+      video: { facingMode: "environment" },
+    });
+    video.srcObject = scanStream;
+    video.style.display = "block";
+    await video.play();
+    status.textContent = "Point the camera at the barcode";
+
+    const detect = async () => {
+      if (!scanStream) return;
+      try {
+        const [barcode] = await detector.detect(video);
+        if (barcode) {
+          stopScanner();
+          status.textContent = `Found ${barcode.rawValue}`;
+          lookupBarcode(barcode.rawValue);
+          return;
+        }
+      } catch (err) {
+        // Frames can fail to decode while the camera warms up; keep trying
+      }
+      scanTimeout = setTimeout(detect, 250);
+    };
+    detect();
+  } catch (err) {
+    console.error("Error starting barcode scanner", err);
+    stopScanner();
+    video.style.display = "none";
+    status.textContent =
+      "Couldn't access the camera. Enter the barcode number below.";
+  }
+}
+
+function stopScanner() {
+  clearTimeout(scanTimeout);
+  scanTimeout = null;
+  if (scanStream) {
+    scanStream.getTracks().forEach((track) => track.stop());
+    scanStream = null;
+  }
+}
+
+function closeScanModal() {
+  stopScanner();
+  document.getElementById("scanModal").style.display = "none";
+}
+
+async function lookupBarcode(code) {
+  try {
+    const res = await fetch(`/api/upc/${encodeURIComponent(code)}`, {
+      credentials: "include",
+    });
+
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(error.error || "Failed to look up barcode");
+    }
+
+    const result = await res.json();
+
+    if (result.source === "library") {
+      closeScanModal();
+      logScannedDrink(result.drinkType, result.sizeName);
+      return;
+    }
+
+    // Found in the catalog but not in the drink library yet
+    scannedProduct = result.product;
+    document.getElementById("scanProductInfo").innerHTML = `
+      <div class="size-option-name">${escapeHtml(
+        `${scannedProduct.size} ${scannedProduct.name}`
+      )}</div>
+      <div class="size-option-caffeine">${
+        scannedProduct.caffeineMg
+      }mg caffeine</div>
+    `;
+    document.getElementById("scanProduct").style.display = "block";
+  } catch (err) {
+    console.error("Error looking up barcode", err);
+    showToast(err.message || "Failed to look up barcode", "error");
+  }
+}
+
+async function importScannedProduct() {
+  if (!scannedProduct) return;
+
+  try {
+    const res = await fetch(
+      `/api/upc/${encodeURIComponent(scannedProduct.upc)}/import`,
+      {
+        method: "POST",
+        headers: { "X-Client-Id": CLIENT_ID },
+        credentials: "include",
+      }
+    );
+
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(error.error || "Failed to add product");
+    }
+
+    const { drinkType, sizeName } = await res.json();
+    closeScanModal();
+    loadDrinkTypes();
+    logScannedDrink(drinkType, sizeName);
+  } catch (err) {
+    console.error("Error importing product", err);
+    showToast(err.message || "Failed to add product", "error");
+  }
+}
+
+// Open the add-entry modal with the scanned drink and size pre-selected
+function logScannedDrink(drinkType, sizeName) {
+  selectedDrink = drinkType;
+  selectedSize = drinkType.sizes.find((s) => s.name === sizeName);
+  showAddEntryModal();
+}
+
+// Manual barcode entry
+const manualUpcForm = document.getElementById("manualUpcForm");
+manualUpcForm?.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const code = document.getElementById("manualUpc").value.trim();
+  if (!code) return;
+  stopScanner();
+  lookupBarcode(code);
+});
+
+// User roles (admins only)
+async function showRolesModal() {
+  const list = document.getElementById("rolesList");
+  list.innerHTML = `<div class="loading">Loading...</div>`;
+  document.getElementById("rolesModal").style.display = "flex";
+
+  try {
+    const res = await fetch("/api/users", { credentials: "include" });
+    if (!res.ok) throw new Error("Failed to fetch users");
+
+    const users = await res.json();
+    list.innerHTML = users
+      .map(
+        (user) => `
+        <div class="deleted-drink">
+          <div>
+            <div class="size-option-name">${escapeHtml(user.name)}</div>
+            <div class="group-meta">${escapeHtml(user.email)}</div>
+          </div>
+          <select onchange="changeUserRole('${user.googleId}', this)" ${
+          user.googleId === currentUser.googleId ? "disabled" : ""
+        }>
+            ${["member", "moderator", "admin"]
+              .map(
+                (role) =>
+                  `<option value="${role}" ${
+                    role === user.role ? "selected" : ""
+                  }>${role}</option>`
+              )
+              .join("")}
+          </select>
+        </div>
+      `
+      )
+      .join("");
+  } catch (err) {
+    console.error("Error loading users", err);
+    list.innerHTML = `<div class="loading">Failed to load users.</div>`;
+  }
+}
+
+function closeRolesModal() {
+  document.getElementById("rolesModal").style.display = "none";
+}
+
+async function changeUserRole(userId, select) {
+  try {
+    const res = await fetch(`/api/users/${userId}/role`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({ role: select.value }),
+    });
+
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(error.error || "Failed to change role");
+    }
+
+    const user = await res.json();
+    showToast(`${user.name} is now ${user.role}`, "success");
+  } catch (err) {
+    console.error("Error changing role", err);
+    showToast(err.message || "Could not change role", "error");
+    showRolesModal();
+  }
+}
+
+// Deleted drink types
+async function showDeletedDrinksModal() {
+  const list = document.getElementById("deletedDrinksList");
+  list.innerHTML = `<div class="loading">Loading...</div>`;
+  document.getElementById("deletedDrinksModal").style.display = "flex";
+
+  try {
+    const res = await fetch("/api/types/deleted", { credentials: "include" });
+    if (!res.ok) throw new Error("Failed to fetch deleted drinks");
+
+    const types = await res.json();
+    list.innerHTML = types.length
+      ? types
+          .map(
+            (drink) => `
+          <div class="deleted-drink">
+            <div>
+              <div class="size-option-name">${escapeHtml(drink.name)}</div>
+              <div class="group-meta">${drink.sizes
+                .map((s) => `${escapeHtml(s.name)} ${s.caffeineMg} mg`)
+                .join(" · ")}</div>
+            </div>
+            ${
+              canManageDrink(drink)
+                ? `<button onclick="restoreDrinkType('${drink._id}')">Restore</button>`
+                : ""
+            }
+          </div>
+        `
+          )
+          .join("")
+      : `<div class="loading">No deleted drinks.</div>`;
+  } catch (err) {
+    console.error("Error loading deleted drinks", err);
+    list.innerHTML = `<div class="loading">Failed to load deleted drinks.</div>`;
+  }
+}
+
+function closeDeletedDrinksModal() {
+  document.getElementById("deletedDrinksModal").style.display = "none";
+}
+
+async function restoreDrinkType(drinkId) {
+  try {
+    const res = await fetch(`/api/types/${drinkId}/restore`, {
+      method: "POST",
+      headers: { "X-Client-Id": CLIENT_ID },
+      credentials: "include",
+    });
+
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(error.error || "Failed to restore drink type");
+    }
+
+    const drink = await res.json();
+    showToast(`${drink.name} restored!`, "success");
+    showDeletedDrinksModal();
+    loadDrinkTypes();
+  } catch (err) {
+    console.error("Error restoring drink type", err);
+    showToast(err.message || "Failed to restore drink type", "error");
+  }
+}
+
 function closeAddEntryModal() {
   document.getElementById("addEntryModal").style.display = "none";
   document.getElementById("addEntryForm").reset();
+  document.getElementById("bedtimeProjection").textContent = "";
   selectedDrink = null;
   selectedSize = null;
 }
@@ -419,6 +1652,16 @@ window.onclick = function (e) {
     closeAddDrinkModal();
     closeAddEntryModal();
     closeSizeSelectionModal();
+    closeSettingsModal();
+    closeGroupsModal();
+    closeEditEntryModal();
+    closeDeletedDrinksModal();
+    closeRolesModal();
+    closeScanModal();
+    closeReactionsModal();
+    closePeopleModal();
+    closeProfileModal();
+    closeSchedulesModal();
   }
 };
 
@@ -428,6 +1671,16 @@ document.addEventListener("keydown", function (e) {
     closeAddDrinkModal();
     closeAddEntryModal();
     closeSizeSelectionModal();
+    closeSettingsModal();
+    closeGroupsModal();
+    closeEditEntryModal();
+    closeDeletedDrinksModal();
+    closeRolesModal();
+    closeScanModal();
+    closeReactionsModal();
+    closePeopleModal();
+    closeProfileModal();
+    closeSchedulesModal();
   }
 });
 
@@ -438,6 +1691,8 @@ addDrinkForm?.addEventListener("submit", async (e) => {
 
   const name = document.getElementById("drinkName").value.trim();
   const imageUrl = document.getElementById("imageUrl").value.trim();
+  const category = document.getElementById("drinkCategory").value;
+  const tags = document.getElementById("drinkTags").value;
 
   if (!name) {
     showToast("Please enter a drink name", "error");
@@ -452,184 +1707,1826 @@ addDrinkForm?.addEventListener("submit", async (e) => {
   for (const variant of variants) {
     const sizeName = variant.querySelector(".size-name").value.trim();
     const caffeine = variant.querySelector(".size-caffeine").value;
+    const upc = variant.querySelector(".size-upc").value.trim();
+    const volumeInput = variant.querySelector(".size-volume");
+    const volume = parseFloat(volumeInput.value);
+    // The field shows a rounded value; unless it was changed, keep the
+    // stored volume rather than converting the rounded one back
+    const originalMl = parseFloat(volumeInput.dataset.ml);
+    const volumeMl =
+      originalMl > 0 && volume === mlToDisplay(originalMl)
+        ? originalMl
+        : Math.round(displayToMl(volume) * 10) / 10;
+
+    if (sizeName && caffeine && parseFloat(caffeine) > 0) {
+      sizeVariants.push({
+        name: sizeName,
+        caffeineMg: parseFloat(caffeine),
+        ...(upc ? { upc } : {}),
+        ...(volume > 0 ? { volumeMl } : {}),
+      });
+    }
+  }
+
+  if (sizeVariants.length === 0) {
+    showToast("Please add at least one valid size variant", "error");
+    return;
+  }
+
+  // Check for duplicate size names
+  const sizeNames = sizeVariants.map((s) => s.name.toLowerCase());
+  if (sizeNames.length !== new Set(sizeNames).size) {
+    showToast("Size names must be unique", "error");
+    return;
+  }
+
+  const isEdit = Boolean(editingDrinkId);
+
+  try {
+    const res = await fetch(
+      isEdit ? `/api/types/${editingDrinkId}` : "/api/types",
+      {
+        method: isEdit ? "PUT" : "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Client-Id": CLIENT_ID,
+        },
+        credentials: "include",
+        body: JSON.stringify({
+          name,
+          // An empty URL on edit resets the image to the placeholder
+          imageUrl: imageUrl || (isEdit ? "" : undefined),
+          sizes: sizeVariants,
+          category,
+          tags,
+        }),
+      }
+    );
+
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(
+        error.error ||
+          (isEdit ? "Failed to update drink" : "Failed to add drink")
+      );
+    }
+
+    closeAddDrinkModal();
+    loadDrinkTypes();
+    showToast(
+      isEdit ? `${name} updated!` : `${name} added successfully!`,
+      "success"
+    );
+  } catch (err) {
+    console.error("Error adding drink", err);
+    showToast(err.message || "Could not add drink", "error");
+  }
+});
+
+// Add entry form
+const addEntryForm = document.getElementById("addEntryForm");
+addEntryForm?.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  if (!selectedDrink || !selectedSize) {
+    showToast("No drink selected", "error");
+    return;
+  }
+
+  const desc = document.getElementById("customDescription").value.trim();
+  const timestampValue = document.getElementById("entryTimestamp").value;
+  const timestamp = timestampValue
+    ? new Date(timestampValue).toISOString()
+    : undefined;
+
+  const amount = selectedAmount();
+  if (!amount) {
+    showToast(`Enter an amount in ${volumeUnitLabel()}`, "error");
+    return;
+  }
+
+  // ✅ Capture names early (in case modal resets globals)
+  const newEntry = {
+    drinkName: selectedDrink.name,
+    sizeName: amount.sizeName,
+    caffeineMg: amount.caffeineMg,
+    volumeMl: amount.volumeMl,
+    customDescription: desc,
+    isCustomDrink: amount.isCustomDrink,
+    timestamp,
+  };
+
+  try {
+    if (await logEntry(newEntry)) closeAddEntryModal();
+  } catch (err) {
+    console.error("Error adding entry", err);
+    showToast(err.message || "Could not add entry", "error");
+  }
+});
+
+// Log an entry, or queue it when offline. Asks for confirmation first if
+// it goes over the user's limits; resolves to false if they decline.
+// Id sent with each new entry so the server can tell a retried request
+// from a new one
+function newClientEntryId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+async function logEntry(details) {
+  const newEntry = { ...details, clientEntryId: newClientEntryId() };
+  const { drinkName, sizeName, caffeineMg, timestamp } = newEntry;
+
+  if (!navigator.onLine) {
+    await queueOfflineEntry(newEntry);
+    return true;
+  }
+
+  const limits = await checkEntryLimits(caffeineMg, timestamp);
+  if (limits && limits.warning && !confirm(limitWarningMessage(limits))) {
+    return false;
+  }
+
+  let res;
+  try {
+    res = await fetch("/api/entries", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Client-Id": CLIENT_ID },
+      credentials: "include",
+      body: JSON.stringify(newEntry),
+    });
+  } catch (networkErr) {
+    // The request may or may not have reached the server; the replay sends
+    // the same clientEntryId, so it can't be saved twice
+    await queueOfflineEntry(newEntry);
+    return true;
+  }
+
+  if (!res.ok) {
+    const error = await res.json();
+    throw new Error(error.error || "Failed to add entry");
+  }
+
+  const entry = await res.json();
+
+  loadStats();
+  loadActiveCaffeine();
+  loadAfterCutoff();
+  loadEntries();
+  loadPersonalDrinks();
+
+  showToast(`${sizeName} ${drinkName} added!`, "success");
+  announceAchievements(entry.achievements);
+  return true;
+}
+
+// Log the same drink, size and amount as one of the user's entries, now
+async function logAgain(entryId) {
+  const entry = loadedEntries.find((e) => e._id === entryId);
+  if (!entry) return;
+
+  try {
+    await logEntry({
+      drinkName: entry.drinkName,
+      sizeName: entry.sizeName,
+      caffeineMg: entry.caffeineMg,
+      volumeMl: entry.volumeMl || undefined,
+      customDescription: "",
+      isCustomDrink: Boolean(entry.isCustomDrink),
+    });
+  } catch (err) {
+    console.error("Error logging entry again", err);
+    showToast(err.message || "Could not add entry", "error");
+  }
+}
+
+// Recurring entries
+// Weekday numbers match Date.getDay() (0 = Sunday); lists show Monday first
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+function scheduleDaysLabel(days) {
+  const key = [...days].sort().join(",");
+  if (key === "0,1,2,3,4,5,6") return "Every day";
+  if (key === "1,2,3,4,5") return "Weekdays";
+  if (key === "0,6") return "Weekends";
+  return WEEK_ORDER.filter((day) => days.includes(day))
+    .map((day) => WEEKDAY_NAMES[day])
+    .join(", ");
+}
+
+// "YYYY-MM-DD" as a short local date
+function formatCalendarDate(value) {
+  const [year, month, day] = value.split("-").map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString([], {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+}
+
+function showSchedulesModal() {
+  document.getElementById("scheduleDrink").innerHTML = drinkTypes
+    .map(
+      (drink) =>
+        `<option value="${drink._id}">${escapeHtml(drink.name)}</option>`
+    )
+    .join("");
+  renderScheduleSizes();
+  document.getElementById("schedulesModal").style.display = "flex";
+  loadSchedules();
+  loadScheduledEntries();
+}
+
+function closeSchedulesModal() {
+  document.getElementById("schedulesModal").style.display = "none";
+  document.getElementById("scheduleForm").reset();
+}
+
+function renderScheduleSizes() {
+  const drink = drinkTypes.find(
+    (d) => d._id === document.getElementById("scheduleDrink").value
+  );
+  document.getElementById("scheduleSize").innerHTML = (drink ? drink.sizes : [])
+    .map(
+      (size, i) =>
+        `<option value="${i}">${escapeHtml(size.name)} (${
+          size.caffeineMg
+        } mg)</option>`
+    )
+    .join("");
+}
+
+async function loadSchedules() {
+  const list = document.getElementById("schedulesList");
+
+  try {
+    const res = await fetch("/api/schedules", { credentials: "include" });
+    if (!res.ok) throw new Error("Failed to fetch schedules");
+
+    userSchedules = await res.json();
+    renderSchedules();
+  } catch (err) {
+    console.error("Error loading schedules", err);
+    list.innerHTML = `<div class="loading">Failed to load schedules.</div>`;
+  }
+}
+
+function renderSchedules() {
+  const list = document.getElementById("schedulesList");
+
+  if (!userSchedules.length) {
+    list.innerHTML = `<div class="loading">No recurring drinks yet.</div>`;
+    return;
+  }
+
+  list.innerHTML = userSchedules
+    .map(
+      (schedule) => `
+      <div class="group-item ${schedule.paused ? "" : "active"}">
+        <div class="group-name">${escapeHtml(
+          `${schedule.sizeName} ${schedule.drinkName}`
+        )} · ${schedule.caffeineMg} mg</div>
+        <div class="group-meta">
+          ${scheduleDaysLabel(schedule.days)} at ${formatClockTime(
+        schedule.time
+      )} · ${
+        schedule.paused
+          ? "Paused"
+          : schedule.nextRunAt
+          ? `next ${formatCalendarDate(schedule.nextRunDate)}`
+          : "no upcoming days"
+      }
+        </div>
+        ${
+          schedule.skipDates.length
+            ? `<div class="group-members">${schedule.skipDates
+                .map(
+                  (date) =>
+                    `<span class="group-member">Skipping ${formatCalendarDate(
+                      date
+                    )} <button class="skip-remove" onclick="unskipScheduleDay('${
+                      schedule._id
+                    }', '${date}')" title="Don't skip">×</button></span>`
+                )
+                .join("")}</div>`
+            : ""
+        }
+        <div class="group-actions">
+          <button onclick="toggleSchedulePaused('${schedule._id}')">${
+        schedule.paused ? "Resume" : "Pause"
+      }</button>
+          ${
+            schedule.nextRunDate
+              ? `<button onclick="skipScheduleDay('${schedule._id}')">Skip next</button>`
+              : ""
+          }
+          <button class="danger" onclick="deleteSchedule('${
+            schedule._id
+          }')">Delete</button>
+        </div>
+      </div>
+    `
+    )
+    .join("");
+}
+
+// Send a schedule change and re-render with the server's copy
+async function updateSchedule(url, options, failure) {
+  try {
+    const res = await fetch(url, { credentials: "include", ...options });
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(error.error || failure);
+    }
+
+    const updated = await res.json();
+    userSchedules = userSchedules.map((s) =>
+      s._id === updated._id ? updated : s
+    );
+    renderSchedules();
+    return updated;
+  } catch (err) {
+    console.error(failure, err);
+    showToast(err.message || failure, "error");
+    return null;
+  }
+}
+
+function toggleSchedulePaused(scheduleId) {
+  const schedule = userSchedules.find((s) => s._id === scheduleId);
+  return updateSchedule(
+    `/api/schedules/${scheduleId}`,
+    {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ paused: !schedule.paused }),
+    },
+    "Failed to update schedule"
+  );
+}
+
+async function skipScheduleDay(scheduleId) {
+  const schedule = userSchedules.find((s) => s._id === scheduleId);
+  const skipped = schedule.nextRunDate;
+  const updated = await updateSchedule(
+    `/api/schedules/${scheduleId}/skip`,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ date: skipped }),
+    },
+    "Failed to skip day"
+  );
+  if (updated) {
+    showToast(`Skipping ${formatCalendarDate(skipped)}`, "success");
+  }
+}
+
+function unskipScheduleDay(scheduleId, date) {
+  return updateSchedule(
+    `/api/schedules/${scheduleId}/skip/${date}`,
+    { method: "DELETE" },
+    "Failed to update schedule"
+  );
+}
+
+async function deleteSchedule(scheduleId) {
+  if (
+    !confirm(
+      "Delete this recurring drink? Entries it already logged will be kept."
+    )
+  ) {
+    return;
+  }
+
+  try {
+    const res = await fetch(`/api/schedules/${scheduleId}`, {
+      method: "DELETE",
+      credentials: "include",
+    });
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(error.error || "Failed to delete schedule");
+    }
+
+    userSchedules = userSchedules.filter((s) => s._id !== scheduleId);
+    renderSchedules();
+    showToast("Recurring drink deleted", "success");
+  } catch (err) {
+    console.error("Error deleting schedule", err);
+    showToast(err.message || "Failed to delete schedule", "error");
+  }
+}
+
+// Entries logged by schedules, so they can be reviewed and removed
+async function loadScheduledEntries() {
+  const list = document.getElementById("scheduledEntriesList");
+  list.innerHTML = `<div class="loading">Loading...</div>`;
+
+  try {
+    const res = await fetch("/api/schedules/entries", {
+      credentials: "include",
+    });
+    if (!res.ok) throw new Error("Failed to fetch auto-logged entries");
+
+    const entries = await res.json();
+    list.innerHTML = entries.length
+      ? entries
+          .map(
+            (entry) => `
+          <div class="deleted-drink">
+            <div>
+              <div class="size-option-name">${escapeHtml(entry.fullName)} · ${
+              entry.caffeineMg
+            } mg</div>
+              <div class="group-meta">${new Date(
+                entry.timestamp
+              ).toLocaleString([], {
+                weekday: "short",
+                month: "short",
+                day: "numeric",
+                hour: "2-digit",
+                minute: "2-digit",
+              })}</div>
+            </div>
+            <button onclick="deleteScheduledEntry('${
+              entry._id
+            }')">Remove</button>
+          </div>
+        `
+          )
+          .join("")
+      : `<div class="loading">Nothing auto-logged yet.</div>`;
+  } catch (err) {
+    console.error("Error loading auto-logged entries", err);
+    list.innerHTML = `<div class="loading">Failed to load auto-logged entries.</div>`;
+  }
+}
+
+async function deleteScheduledEntry(entryId) {
+  await deleteEntry(entryId);
+  loadScheduledEntries();
+}
+
+// Create schedule form
+const scheduleForm = document.getElementById("scheduleForm");
+scheduleForm?.addEventListener("submit", async (e) => {
+  e.preventDefault();
+
+  const drink = drinkTypes.find(
+    (d) => d._id === document.getElementById("scheduleDrink").value
+  );
+  const size =
+    drink && drink.sizes[document.getElementById("scheduleSize").value];
+  const days = [
+    ...document.querySelectorAll("#scheduleDays input:checked"),
+  ].map((input) => Number(input.value));
+  const time = document.getElementById("scheduleTime").value;
+
+  if (!size) {
+    showToast("Pick a drink and size", "error");
+    return;
+  }
+  if (!days.length) {
+    showToast("Pick at least one day", "error");
+    return;
+  }
+
+  try {
+    const res = await fetch("/api/schedules", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({
+        drinkName: drink.name,
+        sizeName: size.name,
+        caffeineMg: size.caffeineMg,
+        volumeMl: size.volumeMl,
+        days,
+        time,
+      }),
+    });
+
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(error.error || "Failed to create schedule");
+    }
+
+    userSchedules.push(await res.json());
+    renderSchedules();
+    scheduleForm.reset();
+    renderScheduleSizes();
+    showToast(`${size.name} ${drink.name} scheduled!`, "success");
+  } catch (err) {
+    console.error("Error creating schedule", err);
+    showToast(err.message || "Could not create schedule", "error");
+  }
+});
+
+// Offline entry queue
+// Entries that can't reach the server are kept in IndexedDB with their
+// original timestamp and replayed to POST /api/entries once back online.
+const OFFLINE_DB_NAME = "caffeine-offline";
+const PENDING_STORE = "pendingEntries";
+
+function openOfflineDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(PENDING_STORE, { keyPath: "id" });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run one request against the pending store; resolves with its result
+// once the transaction commits
+async function pendingStore(mode, makeRequest) {
+  const db = await openOfflineDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(PENDING_STORE, mode);
+    const request = makeRequest(tx.objectStore(PENDING_STORE));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+}
+
+// Queued entries for the signed-in user, newest first
+async function loadPendingEntries() {
+  if (!currentUser) return;
+
+  try {
+    const queued = await pendingStore("readonly", (store) => store.getAll());
+    pendingEntries = queued
+      .filter((entry) => entry.userId === currentUser.googleId)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  } catch (err) {
+    console.error("Error loading offline entries", err);
+    pendingEntries = [];
+  }
+  renderPendingEntries();
+}
+
+async function queueOfflineEntry(entry) {
+  const pending = {
+    ...entry,
+    id: `pending-${entry.clientEntryId}`,
+    userId: currentUser.googleId,
+    // Keep the time it was drunk, not the time it eventually syncs
+    timestamp: entry.timestamp || new Date().toISOString(),
+    queuedAt: new Date().toISOString(),
+  };
+
+  await pendingStore("readwrite", (store) => store.put(pending));
+  await loadPendingEntries();
+  showToast(
+    `You're offline. ${entry.sizeName} ${entry.drinkName} will sync when you reconnect.`,
+    "success"
+  );
+}
+
+// Replay queued entries oldest first. Stops at the first network, auth or
+// server error so the rest are retried later; entries the server rejects
+// outright are dropped with a toast. Only one tab replays the queue at a
+// time; the server also ignores an entry whose clientEntryId it has already
+// saved.
+async function syncPendingEntries() {
+  if (pendingSyncing || !currentUser || !navigator.onLine) return;
+
+  if (navigator.locks) {
+    await navigator.locks.request(
+      "caffeine-offline-sync",
+      { ifAvailable: true },
+      (lock) => lock && replayPendingEntries()
+    );
+  } else {
+    await replayPendingEntries();
+  }
+}
+
+async function replayPendingEntries() {
+  pendingSyncing = true;
+  let synced = 0;
+
+  try {
+    await loadPendingEntries();
+
+    for (const pending of [...pendingEntries].reverse()) {
+      const { id, userId, queuedAt, ...entry } = pending;
+
+      let res;
+      try {
+        res = await fetch("/api/entries", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "X-Client-Id": CLIENT_ID,
+          },
+          credentials: "include",
+          body: JSON.stringify(entry),
+        });
+      } catch (networkErr) {
+        break;
+      }
+      if (res.status === 401 || res.status >= 500) break;
+
+      await pendingStore("readwrite", (store) => store.delete(id));
+
+      if (res.ok) {
+        synced++;
+        announceAchievements((await res.json()).achievements);
+      } else {
+        const error = await res.json();
+        showToast(
+          `Couldn't sync ${entry.sizeName} ${entry.drinkName}: ${
+            error.error || "rejected by the server"
+          }`,
+          "error"
+        );
+      }
+    }
+  } catch (err) {
+    console.error("Error syncing offline entries", err);
+  } finally {
+    pendingSyncing = false;
+  }
+
+  await loadPendingEntries();
+
+  if (synced) {
+    loadStats();
+    loadActiveCaffeine();
+    loadAfterCutoff();
+    loadEntries();
+    loadPersonalDrinks();
+    showToast(
+      `Synced ${synced} offline ${synced === 1 ? "entry" : "entries"}`,
+      "success"
+    );
+  }
+}
+
+async function discardPendingEntry(id) {
+  if (!confirm("Discard this entry? It hasn't been synced yet.")) return;
+
+  try {
+    await pendingStore("readwrite", (store) => store.delete(id));
+    await loadPendingEntries();
+  } catch (err) {
+    console.error("Error discarding offline entry", err);
+    showToast("Could not discard entry", "error");
+  }
+}
+
+// Queued entries sit above the feed until they sync
+function renderPendingEntries() {
+  document.getElementById("pendingEntries").innerHTML = pendingEntries
+    .map((entry) => {
+      const displayName = `${entry.sizeName} ${entry.drinkName}`;
+      return `
+        <div class="entry-item pending" data-pending-id="${entry.id}">
+          <button class="entry-delete" onclick="discardPendingEntry('${
+            entry.id
+          }')" title="Discard entry" aria-label="Discard ${escapeHtml(
+        displayName
+      )} entry">×</button>
+          <div class="entry-header">
+            <div class="entry-title">${escapeHtml(displayName)}</div>
+            <div class="entry-caffeine">${entry.caffeineMg} mg</div>
+          </div>
+          <div class="entry-time">${formatTime(entry.timestamp)}</div>
+          ${
+            entry.customDescription
+              ? `<div class="entry-description">"${escapeHtml(
+                  entry.customDescription
+                )}"</div>`
+              : ""
+          }
+          <div class="pending-badge">⏳ Saved offline, waiting to sync</div>
+        </div>
+      `;
+    })
+    .join("");
+}
+
+// Settings form
+const settingsForm = document.getElementById("settingsForm");
+settingsForm?.addEventListener("submit", async (e) => {
+  e.preventDefault();
+
+  const timezone = document.getElementById("timezone").value;
+  const halfLifeHours = parseFloat(
+    document.getElementById("halfLifeHours").value
+  );
+  const dailyLimitMg = parseFloat(
+    document.getElementById("dailyLimitMg").value
+  );
+  const singleDoseLimitMg = parseFloat(
+    document.getElementById("singleDoseLimitMg").value
+  );
+  const bedtime = document.getElementById("bedtime").value;
+  const caffeineCutoff = document.getElementById("caffeineCutoff").value;
+  const units = document.getElementById("units").value;
+
+  try {
+    const res = await fetch("/api/settings", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({
+        timezone,
+        halfLifeHours,
+        dailyLimitMg,
+        singleDoseLimitMg,
+        bedtime,
+        caffeineCutoff,
+        units,
+      }),
+    });
+
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(error.error || "Failed to save settings");
+    }
+
+    userSettings = await res.json();
+    closeSettingsModal();
+    loadStats();
+    loadEntries();
+    loadActiveCaffeine();
+    loadAfterCutoff();
+    if (
+      document.getElementById("leaderboardTab").classList.contains("active")
+    ) {
+      loadCaffeineChart();
+      loadHeatmap();
+    }
+    showToast("Settings saved!", "success");
+  } catch (err) {
+    console.error("Error saving settings", err);
+    showToast(err.message || "Could not save settings", "error");
+  }
+});
+
+// Ask the server whether an entry would go over the user's limits
+async function checkEntryLimits(caffeineMg, timestamp) {
+  try {
+    const res = await fetch("/api/entries/check", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({ caffeineMg, timestamp }),
+    });
+    if (!res.ok) throw new Error("Failed to check limits");
+
+    return await res.json();
+  } catch (err) {
+    // Don't block logging if the check itself fails
+    console.error("Error checking limits", err);
+    return null;
+  }
+}
+
+function limitWarningMessage(limits) {
+  const lines = [];
+  if (limits.overDoseLimit) {
+    lines.push(
+      `This drink is over your single-dose limit of ${limits.singleDoseLimitMg} mg.`
+    );
+  }
+  if (limits.overDailyLimit) {
+    lines.push(
+      `This brings you to ${Math.round(
+        limits.dayTotalMg
+      )} mg that day, over your daily limit of ${limits.dailyLimitMg} mg.`
+    );
+  }
+  lines.push("", "Log it anyway?");
+  return lines.join("\n");
+}
+
+// Create group form
+const createGroupForm = document.getElementById("createGroupForm");
+createGroupForm?.addEventListener("submit", async (e) => {
+  e.preventDefault();
+
+  const name = document.getElementById("groupName").value.trim();
+  if (!name) {
+    showToast("Please enter a group name", "error");
+    return;
+  }
+
+  try {
+    const res = await fetch("/api/groups", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({ name }),
+    });
+
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(error.error || "Failed to create group");
+    }
+
+    const group = await res.json();
+    createGroupForm.reset();
+    await loadGroups();
+    refreshVisibleData();
+    showToast(
+      `${group.name} created! Invite code: ${group.inviteCode}`,
+      "success"
+    );
+  } catch (err) {
+    console.error("Error creating group", err);
+    showToast(err.message || "Could not create group", "error");
+  }
+});
+
+// Join group form
+const joinGroupForm = document.getElementById("joinGroupForm");
+joinGroupForm?.addEventListener("submit", async (e) => {
+  e.preventDefault();
+
+  const inviteCode = document.getElementById("inviteCode").value.trim();
+  if (!inviteCode) {
+    showToast("Please enter an invite code", "error");
+    return;
+  }
+
+  try {
+    const res = await fetch("/api/groups/join", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({ inviteCode }),
+    });
+
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(error.error || "Failed to join group");
+    }
+
+    const group = await res.json();
+    joinGroupForm.reset();
+    await loadGroups();
+    refreshVisibleData();
+    showToast(`Joined ${group.name}!`, "success");
+  } catch (err) {
+    console.error("Error joining group", err);
+    showToast(err.message || "Could not join group", "error");
+  }
+});
+
+// Edit entry
+function showEditEntryModal(entryId) {
+  const entry = loadedEntries.find((e) => e._id === entryId);
+  if (!entry) return;
+
+  document.getElementById("editEntryId").value = entry._id;
+  document.getElementById("editEntryTitle").textContent = `Edit ${
+    entry.fullName || entry.drinkName
+  }`;
+  document.getElementById("editSizeName").value = entry.sizeName;
+  document.getElementById("editCaffeineMg").value = entry.caffeineMg;
+  document.getElementById("editDescription").value =
+    entry.customDescription || "";
+  const timestampInput = document.getElementById("editTimestamp");
+  timestampInput.value = toDateTimeLocalValue(entry.timestamp);
+  timestampInput.max = toDateTimeLocalValue(new Date());
+
+  // Offer the drink's known sizes as shortcuts
+  const drink = drinkTypes.find((d) => d.name === entry.drinkName);
+  const sizeSelect = document.getElementById("editSizeSelect");
+  if (drink && drink.sizes.length > 1) {
+    sizeSelect.innerHTML =
+      `<option value="">Pick a size...</option>` +
+      drink.sizes
+        .map(
+          (size, i) =>
+            `<option value="${i}">${escapeHtml(size.name)} (${
+              size.caffeineMg
+            } mg)</option>`
+        )
+        .join("");
+    sizeSelect.onchange = () => {
+      const size = drink.sizes[sizeSelect.value];
+      if (!size) return;
+      document.getElementById("editSizeName").value = size.name;
+      document.getElementById("editCaffeineMg").value = size.caffeineMg;
+    };
+    sizeSelect.style.display = "block";
+  } else {
+    sizeSelect.innerHTML = "";
+    sizeSelect.style.display = "none";
+  }
+
+  document.getElementById("editEntryModal").style.display = "flex";
+}
+
+function closeEditEntryModal() {
+  document.getElementById("editEntryModal").style.display = "none";
+  document.getElementById("editEntryForm").reset();
+}
+
+// Edit entry form
+const editEntryForm = document.getElementById("editEntryForm");
+editEntryForm?.addEventListener("submit", async (e) => {
+  e.preventDefault();
+
+  const entryId = document.getElementById("editEntryId").value;
+  const sizeName = document.getElementById("editSizeName").value.trim();
+  const caffeineMg = parseFloat(
+    document.getElementById("editCaffeineMg").value
+  );
+  const customDescription = document
+    .getElementById("editDescription")
+    .value.trim();
+  const timestampValue = document.getElementById("editTimestamp").value;
+
+  if (!sizeName || !caffeineMg || caffeineMg <= 0) {
+    showToast("Please enter a size and positive caffeine amount", "error");
+    return;
+  }
+
+  try {
+    const res = await fetch(`/api/entries/${entryId}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json", "X-Client-Id": CLIENT_ID },
+      credentials: "include",
+      body: JSON.stringify({
+        sizeName,
+        caffeineMg,
+        customDescription,
+        timestamp: timestampValue
+          ? new Date(timestampValue).toISOString()
+          : undefined,
+      }),
+    });
+
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(error.error || "Failed to update entry");
+    }
+
+    const updated = await res.json();
+
+    closeEditEntryModal();
+    loadStats();
+    loadActiveCaffeine();
+    loadAfterCutoff();
+    loadEntries();
+    showToast("Entry updated!", "success");
+    announceAchievements(updated.achievements);
+  } catch (err) {
+    console.error("Error updating entry", err);
+    showToast(err.message || "Could not update entry", "error");
+  }
+});
+
+// Delete entry
+async function deleteEntry(entryId) {
+  if (!confirm("Are you sure you want to delete this entry?")) {
+    return;
+  }
+
+  try {
+    const res = await fetch(`/api/entries/${entryId}`, {
+      method: "DELETE",
+      headers: { "X-Client-Id": CLIENT_ID },
+      credentials: "include",
+    });
+
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(error.error || "Failed to delete entry");
+    }
+
+    const result = await res.json();
+
+    showToast("Entry deleted!", "success");
+    announceAchievements(result.achievements);
+    loadStats();
+    loadActiveCaffeine();
+    loadAfterCutoff();
+    loadEntries();
+  } catch (err) {
+    console.error("Error deleting entry", err);
+    showToast(err.message || "Failed to delete entry", "error");
+  }
+}
+
+// Fetch one page of the feed; cursor is null for the newest page
+async function fetchEntriesPage(cursor) {
+  const url = cursor
+    ? `/api/entries?audience=${feedAudience}&cursor=${encodeURIComponent(
+        cursor
+      )}`
+    : `/api/entries?audience=${feedAudience}`;
+  const res = await fetch(url, { credentials: "include" });
+  if (!res.ok) throw new Error("Failed to fetch entries");
+  return res.json();
+}
+
+// Load entries (resets the feed to the newest page)
+async function loadEntries() {
+  const list = document.getElementById("entriesList");
+  list.innerHTML = `<div class="loading">Loading...</div>`;
+  entriesCursor = null;
+
+  try {
+    const data = await fetchEntriesPage(null);
+    loadedEntries = data.entries;
+    entriesCursor = data.nextCursor;
+
+    if (!loadedEntries.length) {
+      list.innerHTML = `<div class="loading">No entries yet. Add your first drink!</div>`;
+      return;
+    }
+
+    list.innerHTML = loadedEntries.map(renderEntry).join("");
+    fillEntriesList();
+  } catch (err) {
+    console.error("Error loading entries", err);
+    list.innerHTML = `<div class="loading">Failed to load entries. <button onclick="loadEntries()" style="background:none;border:none;color:#00c6ff;cursor:pointer;text-decoration:underline;">Retry</button></div>`;
+    showToast("Failed to load entries", "error");
+  }
+}
+
+// Append the next page when the user scrolls near the bottom of the feed
+async function loadMoreEntries() {
+  if (!entriesCursor || entriesLoadingMore) return;
+
+  const list = document.getElementById("entriesList");
+  entriesLoadingMore = true;
+  list.insertAdjacentHTML(
+    "beforeend",
+    `<div class="loading entries-more">Loading more...</div>`
+  );
+
+  try {
+    const data = await fetchEntriesPage(entriesCursor);
+    const loadedIds = new Set(loadedEntries.map((e) => e._id));
+    const newEntries = data.entries.filter((e) => !loadedIds.has(e._id));
+
+    loadedEntries = loadedEntries.concat(newEntries);
+    entriesCursor = data.nextCursor;
+    list.querySelector(".entries-more")?.remove();
+    list.insertAdjacentHTML("beforeend", newEntries.map(renderEntry).join(""));
+  } catch (err) {
+    console.error("Error loading more entries", err);
+    list.querySelector(".entries-more")?.remove();
+    showToast("Failed to load more entries", "error");
+  } finally {
+    entriesLoadingMore = false;
+  }
+
+  fillEntriesList();
+}
+
+// Keep loading while the list is too short to scroll
+function fillEntriesList() {
+  const list = document.getElementById("entriesList");
+  if (entriesCursor && list.scrollHeight <= list.clientHeight) {
+    loadMoreEntries();
+  }
+}
+
+// Prepend entries logged since the feed was loaded, keeping scroll position
+async function refreshEntries() {
+  if (!loadedEntries.length) {
+    loadEntries();
+    return;
+  }
+
+  try {
+    const data = await fetchEntriesPage(null);
+    const loadedIds = new Set(loadedEntries.map((e) => e._id));
+    const newest = new Date(loadedEntries[0].timestamp);
+    const newEntries = data.entries.filter(
+      (e) => !loadedIds.has(e._id) && new Date(e.timestamp) >= newest
+    );
+    if (!newEntries.length) return;
+
+    loadedEntries = newEntries.concat(loadedEntries);
+    document
+      .getElementById("entriesList")
+      .insertAdjacentHTML("afterbegin", newEntries.map(renderEntry).join(""));
+  } catch (err) {
+    console.error("Error refreshing entries", err);
+  }
+}
+
+document.getElementById("entriesList")?.addEventListener("scroll", (e) => {
+  const list = e.target;
+  if (list.scrollTop + list.clientHeight >= list.scrollHeight - 100) {
+    loadMoreEntries();
+  }
+});
+
+function renderEntry(entry) {
+  // Custom amounts are shown by volume, in the viewer's units
+  const displayName =
+    entry.isCustomDrink && entry.volumeMl
+      ? `${formatVolume(entry.volumeMl)} ${entry.drinkName}`
+      : entry.fullName || `${entry.sizeName || ""} ${entry.drinkName}`.trim();
+  const hasUser = entry.userName && entry.userName !== "Anonymous User";
+  const isOwnEntry = currentUser && entry.userId === currentUser.googleId;
+  const label = escapeHtml(displayName);
+
+  return `
+    <div class="entry-item" data-entry-id="${entry._id}">
+      ${
+        isOwnEntry
+          ? `<button class="entry-again" onclick="logAgain('${entry._id}')" title="Log again" aria-label="Log ${label} again">↻</button>
+             <button class="entry-edit" onclick="showEditEntryModal('${entry._id}')" title="Edit entry" aria-label="Edit ${label} entry">✎</button>
+             <button class="entry-delete" onclick="deleteEntry('${entry._id}')" title="Delete entry" aria-label="Delete ${label} entry">×</button>`
+          : ""
+      }
+      <div class="entry-header">
+        <div class="entry-title">${escapeHtml(displayName)}</div>
+        <div class="entry-caffeine">${entry.caffeineMg} mg</div>
+      </div>
+      <div class="entry-time">${formatTime(entry.timestamp)}${
+    entry.scheduleId ? ` · <span class="entry-auto">🔁 auto-logged</span>` : ""
+  }</div>
+      ${
+        hasUser
+          ? `<div class="entry-user">by <button class="profile-link" onclick="showProfile('${
+              entry.userId
+            }')">${escapeHtml(entry.userName)}</button>${
+              entry.userAvatar
+                ? `<img src="${entry.userAvatar}" class="entry-user-avatar" alt="${entry.userName}">`
+                : ""
+            }${isOwnEntry ? "" : followButton(entry.userId)}</div>`
+          : ""
+      }
+      ${
+        entry.customDescription
+          ? `<div class="entry-description">"${escapeHtml(
+              entry.customDescription
+            )}"</div>`
+          : ""
+      }
+      ${renderEntryInteractions(entry)}
+    </div>
+  `;
+}
+
+// Following
+async function loadFollowing() {
+  try {
+    const res = await fetch(`/api/users/${currentUser.googleId}/following`, {
+      credentials: "include",
+    });
+    if (!res.ok) throw new Error("Failed to fetch following");
+
+    const following = await res.json();
+    followingIds = new Set(following.map((u) => u.googleId));
+    updateFollowButtons();
+  } catch (err) {
+    console.error("Error loading following", err);
+  }
+}
+
+// "following" covers followed users plus yourself
+function inAudience(audience, userId) {
+  return (
+    audience === "everyone" ||
+    userId === currentUser.googleId ||
+    followingIds.has(userId)
+  );
+}
+
+function followButton(userId) {
+  const following = followingIds.has(userId);
+  return `<button class="follow-btn ${
+    following ? "following" : ""
+  }" data-user-id="${userId}" onclick="toggleFollow('${userId}')">${
+    following ? "Following" : "Follow"
+  }</button>`;
+}
+
+function updateFollowButtons() {
+  document.querySelectorAll(".follow-btn").forEach((btn) => {
+    const following = followingIds.has(btn.dataset.userId);
+    btn.classList.toggle("following", following);
+    btn.textContent = following ? "Following" : "Follow";
+  });
+}
+
+async function toggleFollow(userId) {
+  const following = followingIds.has(userId);
+
+  try {
+    const res = await fetch(`/api/users/${userId}/follow`, {
+      method: following ? "DELETE" : "POST",
+      credentials: "include",
+    });
+
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(error.error || "Failed to update following");
+    }
+
+    if (following) {
+      followingIds.delete(userId);
+    } else {
+      followingIds.add(userId);
+    }
+    updateFollowButtons();
+
+    if (feedAudience === "following") loadEntries();
+    if (leaderboardAudience === "following") loadLeaderboard();
+  } catch (err) {
+    console.error("Error updating following", err);
+    showToast(err.message || "Failed to update following", "error");
+  }
+}
+
+// Switch the feed between "everyone" and "following"
+function changeFeedAudience(audience) {
+  feedAudience = audience;
+  updateScopeToggle("feedAudienceToggle", audience);
+  loadEntries();
+}
+
+function changeLeaderboardAudience(audience) {
+  leaderboardAudience = audience;
+  updateScopeToggle("leaderboardAudienceToggle", audience);
+  loadLeaderboard();
+}
+
+// People modal: following, followers and user search
+async function showPeopleModal() {
+  document.getElementById("peopleModal").style.display = "flex";
+  document.getElementById("peopleSearch").value = "";
+  document.getElementById("peopleSearchResults").innerHTML = "";
+
+  const followingList = document.getElementById("followingList");
+  const followersList = document.getElementById("followersList");
+  followingList.innerHTML = `<div class="loading">Loading...</div>`;
+  followersList.innerHTML = `<div class="loading">Loading...</div>`;
+
+  try {
+    const [followingRes, followersRes] = await Promise.all([
+      fetch(`/api/users/${currentUser.googleId}/following`, {
+        credentials: "include",
+      }),
+      fetch(`/api/users/${currentUser.googleId}/followers`, {
+        credentials: "include",
+      }),
+    ]);
+    if (!followingRes.ok || !followersRes.ok) {
+      throw new Error("Failed to fetch people");
+    }
+
+    const following = await followingRes.json();
+    const followers = await followersRes.json();
+    followingIds = new Set(following.map((u) => u.googleId));
+
+    followingList.innerHTML = renderPeople(
+      following,
+      "You're not following anyone yet."
+    );
+    followersList.innerHTML = renderPeople(
+      followers,
+      "Nobody is following you yet."
+    );
+  } catch (err) {
+    console.error("Error loading people", err);
+    followingList.innerHTML = `<div class="loading">Failed to load.</div>`;
+    followersList.innerHTML = "";
+  }
+}
+
+function renderPeople(users, emptyMessage) {
+  if (!users.length) {
+    return `<div class="loading">${emptyMessage}</div>`;
+  }
+
+  return users
+    .map(
+      (user) => `
+      <div class="deleted-drink">
+        <button class="profile-link size-option-name" onclick="showProfile('${
+          user.googleId
+        }')">${escapeHtml(user.name)}</button>
+        ${followButton(user.googleId)}
+      </div>`
+    )
+    .join("");
+}
+
+let peopleSearchTimeout = null;
+
+function onPeopleSearchInput(value) {
+  clearTimeout(peopleSearchTimeout);
+  peopleSearchTimeout = setTimeout(() => searchPeople(value.trim()), 250);
+}
+
+async function searchPeople(query) {
+  const results = document.getElementById("peopleSearchResults");
+  if (!query) {
+    results.innerHTML = "";
+    return;
+  }
+
+  try {
+    const res = await fetch(
+      `/api/users/search?q=${encodeURIComponent(query)}`,
+      { credentials: "include" }
+    );
+    if (!res.ok) throw new Error("Failed to search users");
+
+    results.innerHTML = renderPeople(await res.json(), "No users found.");
+  } catch (err) {
+    console.error("Error searching users", err);
+    showToast("Failed to search users", "error");
+  }
+}
+
+function closePeopleModal() {
+  document.getElementById("peopleModal").style.display = "none";
+}
+
+// User profiles
+function showProfile(userId) {
+  profileUserId = userId;
+  document.getElementById("profileModal").style.display = "flex";
+  loadProfile();
+}
+
+function changeProfilePeriod(period) {
+  profilePeriod = period;
+  updateScopeToggle("profilePeriodToggle", period);
+  loadProfile();
+}
+
+async function loadProfile() {
+  const content = document.getElementById("profileContent");
+  content.innerHTML = `<div class="loading">Loading profile...</div>`;
+
+  try {
+    const res = await fetch(
+      `/api/users/${profileUserId}/profile?period=${profilePeriod}`,
+      { credentials: "include" }
+    );
+
+    if (!res.ok) {
+      const error = await res.json();
+      throw new Error(error.error || "Failed to load profile");
+    }
+
+    renderProfile(await res.json());
+  } catch (err) {
+    console.error("Error loading profile", err);
+    content.innerHTML = `<div class="loading">${escapeHtml(
+      err.message || "Failed to load profile"
+    )}</div>`;
+  }
+}
+
+function renderProfile(profile) {
+  const { user, stats } = profile;
+  const joined = new Date(user.createdAt).toLocaleDateString([], {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+
+  document.getElementById("profileContent").innerHTML = `
+    <div class="profile-header">
+      ${
+        user.picture
+          ? `<img src="${
+              user.picture
+            }" class="profile-avatar" alt="${escapeHtml(user.name)}">`
+          : `<div class="leaderboard-avatar-placeholder profile-avatar">${escapeHtml(
+              user.name.charAt(0).toUpperCase()
+            )}</div>`
+      }
+      <div>
+        <div class="profile-name">${escapeHtml(user.name)}${
+    profile.isSelf ? " (You)" : followButton(user.googleId)
+  }</div>
+        <div class="group-meta">Joined ${joined} · ${
+    profile.followerCount
+  } followers · ${profile.followingCount} following</div>
+        ${
+          profile.badges.length
+            ? `<div class="user-badges">${profile.badges
+                .map(
+                  (badge) =>
+                    `<span class="user-badge" title="${escapeHtml(
+                      `${badge.name}: ${badge.description}`
+                    )}">${badge.icon}</span>`
+                )
+                .join("")}</div>`
+            : ""
+        }
+      </div>
+    </div>
+
+    <div class="profile-stats">
+      <div class="stat"><span>${Math.round(
+        stats.totalMg
+      )}</span><label>Lifetime mg</label></div>
+      <div class="stat"><span>${Math.round(
+        stats.dailyAverageMg
+      )}</span><label>mg per day</label></div>
+      <div class="stat"><span>${
+        stats.entryCount
+      }</span><label>Drinks</label></div>
+      <div class="stat"><span>${
+        stats.longestStreak
+      }</span><label>Longest streak${
+    stats.currentStreak ? ` (now ${stats.currentStreak})` : ""
+  }</label></div>
+    </div>
+
+    <div class="settings-section">
+      <div class="panel-subtitle">Caffeine over time</div>
+      <canvas id="profileChart" height="160"></canvas>
+    </div>
+
+    <div class="settings-section">
+      <div class="panel-subtitle">Favorite drinks</div>
+      ${
+        profile.favoriteDrinks.length
+          ? profile.favoriteDrinks
+              .map(
+                (drink) => `
+          <div class="deleted-drink">
+            <div class="size-option-name">${escapeHtml(drink.drinkName)}</div>
+            <div class="group-meta">${drink.count}× · ${Math.round(
+                  drink.totalMg
+                )} mg</div>
+          </div>`
+              )
+              .join("")
+          : `<div class="loading">No drinks yet.</div>`
+      }
+    </div>
+
+    <div class="settings-section">
+      <div class="panel-subtitle">Recent entries</div>
+      ${
+        profile.recentEntries.length
+          ? profile.recentEntries
+              .map(
+                (entry) => `
+          <div class="deleted-drink">
+            <div class="size-option-name">${escapeHtml(entry.fullName)}</div>
+            <div class="group-meta">${entry.caffeineMg} mg · ${formatTime(
+                  entry.timestamp
+                )}</div>
+          </div>`
+              )
+              .join("")
+          : `<div class="loading">No entries yet.</div>`
+      }
+    </div>
+  `;
+
+  renderProfileChart(profile.chart);
+}
+
+function renderProfileChart(series) {
+  if (profileChart) profileChart.destroy();
+
+  const ctx = document.getElementById("profileChart").getContext("2d");
+  const gradient = ctx.createLinearGradient(0, 0, 0, 160);
+  gradient.addColorStop(0, "rgba(0, 198, 255, 0.4)");
+  gradient.addColorStop(1, "rgba(0, 198, 255, 0)");
+
+  profileChart = new Chart(ctx, {
+    type: "line",
+    data: {
+      labels: series.labels,
+      datasets: [
+        {
+          label: "Caffeine (mg)",
+          data: series.values,
+          fill: true,
+          backgroundColor: gradient,
+          borderColor: "#00c6ff",
+          borderWidth: 2,
+          tension: 0.4,
+          pointRadius: 2,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      plugins: { legend: { display: false } },
+      scales: {
+        x: { grid: { color: "rgba(255,255,255,0.05)" } },
+        y: { grid: { color: "rgba(255,255,255,0.05)" } },
+      },
+    },
+  });
+}
+
+function closeProfileModal() {
+  document.getElementById("profileModal").style.display = "none";
+  if (profileChart) {
+    profileChart.destroy();
+    profileChart = null;
+  }
+}
+
+// Reaction bar, comment toggle and (when open) the comment thread
+function renderEntryInteractions(entry) {
+  const reactions = entry.reactions || [];
+  const comments = entry.comments || [];
+  const visibleComments = comments.filter((c) => !c.deleted);
+
+  const reactionButtons = REACTION_EMOJIS.map((emoji) => {
+    const matching = reactions.filter((r) => r.emoji === emoji);
+    const mine = matching.some((r) => r.userId === currentUser.googleId);
+    const names = matching.map((r) => r.userName).join(", ");
+    return `<button class="reaction-btn ${mine ? "mine" : ""} ${
+      matching.length ? "" : "empty"
+    }" onclick="toggleReaction('${entry._id}', '${emoji}')" title="${escapeHtml(
+      names || "React"
+    )}">${emoji}${
+      matching.length ? ` <span>${matching.length}</span>` : ""
+    }</button>`;
+  }).join("");
+
+  const isOpen = openCommentThreads.has(entry._id);
+
+  return `
+    <div class="entry-reactions">
+      ${reactionButtons}
+      <button class="comments-toggle" onclick="toggleComments('${
+        entry._id
+      }')">💬${
+    visibleComments.length ? ` ${visibleComments.length}` : ""
+  }</button>
+    </div>
+    ${isOpen ? renderCommentThread(entry) : ""}
+  `;
+}
+
+function renderCommentThread(entry) {
+  const comments = entry.comments || [];
+  const topLevel = comments.filter((c) => !c.parentId);
+  const replyTarget = replyingTo[entry._id];
+
+  const renderComment = (comment) => {
+    const isOwn = comment.userId === currentUser.googleId;
+    return `
+      <div class="comment ${comment.parentId ? "reply" : ""}">
+        ${
+          comment.deleted
+            ? `<span class="comment-deleted">Comment deleted</span>`
+            : `<span class="comment-author">${escapeHtml(
+                comment.userName
+              )}</span>
+               <span class="comment-text">${escapeHtml(comment.text)}</span>`
+        }
+        <div class="comment-meta">
+          ${formatTime(comment.createdAt)}
+          ${
+            comment.deleted
+              ? ""
+              : `<button class="panel-link" onclick="replyToComment('${entry._id}', '${comment._id}')">Reply</button>`
+          }
+          ${
+            isOwn && !comment.deleted
+              ? `<button class="panel-link" onclick="deleteComment('${entry._id}', '${comment._id}')">Delete</button>`
+              : ""
+          }
+        </div>
+      </div>
+    `;
+  };
+
+  const thread = topLevel
+    .map(
+      (comment) =>
+        renderComment(comment) +
+        comments
+          .filter((c) => c.parentId === comment._id)
+          .map(renderComment)
+          .join("")
+    )
+    .join("");
+
+  const replyComment =
+    replyTarget && comments.find((c) => c._id === replyTarget);
+
+  return `
+    <div class="entry-comments">
+      ${thread}
+      <form class="comment-form" onsubmit="submitComment(event, '${
+        entry._id
+      }')">
+        <input type="text" maxlength="280" autocomplete="off" placeholder="${
+          replyComment
+            ? `Reply to ${escapeHtml(replyComment.userName)}...`
+            : "Add a comment..."
+        }" required />
+        ${
+          replyComment
+            ? `<button type="button" class="panel-link" onclick="cancelReply('${entry._id}')">Cancel</button>`
+            : ""
+        }
+      </form>
+    </div>
+  `;
+}
+
+// Replace an entry's reactions/comments in the feed and re-render it
+function updateEntryInteractions({ _id, reactions, comments }) {
+  const entry = loadedEntries.find((e) => e._id === _id);
+  if (!entry) return;
 
-    if (sizeName && caffeine && parseFloat(caffeine) > 0) {
-      sizeVariants.push({
-        name: sizeName,
-        caffeineMg: parseFloat(caffeine),
-      });
-    }
-  }
+  if (reactions) entry.reactions = reactions;
+  if (comments) entry.comments = comments;
 
-  if (sizeVariants.length === 0) {
-    showToast("Please add at least one valid size variant", "error");
-    return;
-  }
+  const el = document.querySelector(`[data-entry-id="${_id}"]`);
+  if (!el) return;
 
-  // Check for duplicate size names
-  const sizeNames = sizeVariants.map((s) => s.name.toLowerCase());
-  if (sizeNames.length !== new Set(sizeNames).size) {
-    showToast("Size names must be unique", "error");
-    return;
+  // Keep a half-typed comment when someone else's update arrives
+  const input = el.querySelector(".comment-form input");
+  const draft = input ? input.value : "";
+  const hadFocus = input && document.activeElement === input;
+
+  el.outerHTML = renderEntry(entry);
+
+  const newInput = document.querySelector(
+    `[data-entry-id="${_id}"] .comment-form input`
+  );
+  if (newInput) {
+    newInput.value = draft;
+    if (hadFocus) newInput.focus();
   }
+}
 
+async function toggleReaction(entryId, emoji) {
   try {
-    const res = await fetch("/api/types", {
+    const res = await fetch(`/api/entries/${entryId}/reactions`, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: { "Content-Type": "application/json", "X-Client-Id": CLIENT_ID },
       credentials: "include",
-      body: JSON.stringify({
-        name,
-        imageUrl: imageUrl || undefined,
-        sizes: sizeVariants,
-      }),
+      body: JSON.stringify({ emoji }),
     });
 
     if (!res.ok) {
       const error = await res.json();
-      throw new Error(error.error || "Failed to add drink");
+      throw new Error(error.error || "Failed to react");
     }
 
-    closeAddDrinkModal();
-    loadDrinkTypes();
-    showToast(`${name} added successfully!`, "success");
+    const { reactions } = await res.json();
+    updateEntryInteractions({ _id: entryId, reactions });
   } catch (err) {
-    console.error("Error adding drink", err);
-    showToast(err.message || "Could not add drink", "error");
+    console.error("Error reacting to entry", err);
+    showToast(err.message || "Failed to react", "error");
   }
-});
+}
 
-// Add entry form
-const addEntryForm = document.getElementById("addEntryForm");
-addEntryForm?.addEventListener("submit", async (e) => {
-  e.preventDefault();
-  if (!selectedDrink || !selectedSize) {
-    showToast("No drink selected", "error");
-    return;
+function toggleComments(entryId) {
+  if (openCommentThreads.has(entryId)) {
+    openCommentThreads.delete(entryId);
+  } else {
+    openCommentThreads.add(entryId);
   }
+  updateEntryInteractions({ _id: entryId });
+  document
+    .querySelector(`[data-entry-id="${entryId}"] .comment-form input`)
+    ?.focus();
+}
 
-  const desc = document.getElementById("customDescription").value.trim();
+function replyToComment(entryId, commentId) {
+  replyingTo[entryId] = commentId;
+  updateEntryInteractions({ _id: entryId });
+  document
+    .querySelector(`[data-entry-id="${entryId}"] .comment-form input`)
+    ?.focus();
+}
 
-  // ✅ Capture names early (in case modal resets globals)
-  const drinkName = selectedDrink.name;
-  const sizeName = selectedSize.name;
+function cancelReply(entryId) {
+  delete replyingTo[entryId];
+  updateEntryInteractions({ _id: entryId });
+}
+
+async function submitComment(event, entryId) {
+  event.preventDefault();
+  const input = event.target.querySelector("input");
+  const text = input.value.trim();
+  if (!text) return;
 
   try {
-    const res = await fetch("/api/entries", {
+    const res = await fetch(`/api/entries/${entryId}/comments`, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: { "Content-Type": "application/json", "X-Client-Id": CLIENT_ID },
       credentials: "include",
-      body: JSON.stringify({
-        drinkName,
-        sizeName,
-        caffeineMg: selectedSize.caffeineMg,
-        customDescription: desc,
-        isCustomDrink: false,
-      }),
+      body: JSON.stringify({ text, parentId: replyingTo[entryId] }),
     });
 
     if (!res.ok) {
       const error = await res.json();
-      throw new Error(error.error || "Failed to add entry");
+      throw new Error(error.error || "Failed to add comment");
     }
 
-    closeAddEntryModal();
-    loadStats();
-    loadEntries();
-
-    showToast(`${sizeName} ${drinkName} added!`, "success");
+    const { comments } = await res.json();
+    delete replyingTo[entryId];
+    input.value = "";
+    updateEntryInteractions({ _id: entryId, comments });
   } catch (err) {
-    console.error("Error adding entry", err);
-    showToast(err.message || "Could not add entry", "error");
+    console.error("Error adding comment", err);
+    showToast(err.message || "Failed to add comment", "error");
   }
-});
+}
 
-// Delete entry
-async function deleteEntry(entryId) {
-  if (!confirm("Are you sure you want to delete this entry?")) {
-    return;
-  }
+async function deleteComment(entryId, commentId) {
+  if (!confirm("Delete this comment?")) return;
 
   try {
-    const res = await fetch(`/api/entries/${entryId}`, {
+    const res = await fetch(`/api/entries/${entryId}/comments/${commentId}`, {
       method: "DELETE",
+      headers: { "X-Client-Id": CLIENT_ID },
       credentials: "include",
     });
 
     if (!res.ok) {
       const error = await res.json();
-      throw new Error(error.error || "Failed to delete entry");
+      throw new Error(error.error || "Failed to delete comment");
     }
 
-    showToast("Entry deleted!", "success");
-    loadStats();
-    loadEntries();
+    const { comments } = await res.json();
+    updateEntryInteractions({ _id: entryId, comments });
   } catch (err) {
-    console.error("Error deleting entry", err);
-    showToast(err.message || "Failed to delete entry", "error");
+    console.error("Error deleting comment", err);
+    showToast(err.message || "Failed to delete comment", "error");
   }
 }
 
-// Load entries
-async function loadEntries() {
-  const list = document.getElementById("entriesList");
+// New reactions on the current user's entries
+async function loadNewReactions() {
+  try {
+    const res = await fetch("/api/reactions/new", { credentials: "include" });
+    if (!res.ok) throw new Error("Failed to fetch new reactions");
+
+    const { count } = await res.json();
+    const badge = document.getElementById("reactionsCount");
+    badge.textContent = count > 99 ? "99+" : count;
+    badge.style.display = count ? "" : "none";
+  } catch (err) {
+    console.error("Error loading new reactions", err);
+  }
+}
+
+async function showReactionsModal() {
+  const list = document.getElementById("reactionsList");
   list.innerHTML = `<div class="loading">Loading...</div>`;
+  document.getElementById("reactionsModal").style.display = "flex";
 
   try {
-    const res = await fetch("/api/entries", { credentials: "include" });
-    if (!res.ok) throw new Error("Failed to fetch entries");
-
-    const data = await res.json();
+    const res = await fetch("/api/reactions/new", { credentials: "include" });
+    if (!res.ok) throw new Error("Failed to fetch new reactions");
 
-    if (!data.length) {
-      list.innerHTML = `<div class="loading">No entries yet. Add your first drink!</div>`;
-      return;
-    }
+    const { reactions } = await res.json();
+    list.innerHTML = reactions.length
+      ? reactions
+          .map(
+            (r) => `
+        <div class="deleted-drink">
+          <div>
+            <div class="size-option-name">${r.emoji} ${escapeHtml(
+              r.userName
+            )}</div>
+            <div class="group-meta">on your ${escapeHtml(
+              r.fullName
+            )} · ${formatTime(r.createdAt)}</div>
+          </div>
+        </div>`
+          )
+          .join("")
+      : `<div class="loading">No new reactions.</div>`;
 
-    list.innerHTML = data.map(renderEntry).join("");
+    await fetch("/api/reactions/seen", {
+      method: "POST",
+      credentials: "include",
+    });
+    loadNewReactions();
   } catch (err) {
-    console.error("Error loading entries", err);
-    list.innerHTML = `<div class="loading">Failed to load entries. <button onclick="loadEntries()" style="background:none;border:none;color:#00c6ff;cursor:pointer;text-decoration:underline;">Retry</button></div>`;
-    showToast("Failed to load entries", "error");
+    console.error("Error loading new reactions", err);
+    list.innerHTML = `<div class="loading">Failed to load reactions.</div>`;
   }
 }
 
-function renderEntry(entry) {
-  const displayName =
-    entry.fullName || `${entry.sizeName || ""} ${entry.drinkName}`.trim();
-  const hasUser = entry.userName && entry.userName !== "Anonymous User";
-  const isOwnEntry = currentUser && entry.userId === currentUser.googleId;
-
-  return `
-    <div class="entry-item">
-      ${
-        isOwnEntry
-          ? `<button class="entry-delete" onclick="deleteEntry('${entry._id}')" title="Delete entry" aria-label="Delete ${displayName} entry">×</button>`
-          : ""
-      }
-      <div class="entry-header">
-        <div class="entry-title">${escapeHtml(displayName)}</div>
-        <div class="entry-caffeine">${entry.caffeineMg} mg</div>
-      </div>
-      <div class="entry-time">${formatTime(entry.timestamp)}</div>
-      ${
-        hasUser
-          ? `<div class="entry-user">by ${escapeHtml(entry.userName)}${
-              entry.userAvatar
-                ? `<img src="${entry.userAvatar}" class="entry-user-avatar" alt="${entry.userName}">`
-                : ""
-            }</div>`
-          : ""
-      }
-      ${
-        entry.customDescription
-          ? `<div class="entry-description">"${escapeHtml(
-              entry.customDescription
-            )}"</div>`
-          : ""
-      }
-    </div>
-  `;
+function closeReactionsModal() {
+  document.getElementById("reactionsModal").style.display = "none";
 }
 
 // Leaderboard functions
@@ -642,11 +3539,59 @@ function changePeriod(period) {
   });
   event.target.classList.add("active");
 
+  const customRange = document.getElementById("customRange");
+  customRange.style.display = period === "custom" ? "flex" : "none";
+
+  // Default the custom range to the last 7 days
+  if (period === "custom") {
+    const from = document.getElementById("customFrom");
+    const to = document.getElementById("customTo");
+    if (!from.value || !to.value) {
+      const weekAgo = new Date();
+      weekAgo.setDate(weekAgo.getDate() - 6);
+      from.value = dayKey(weekAgo);
+      to.value = dayKey(new Date());
+    }
+  }
+
   // Update graph period display
   updateGraphPeriodDisplay(period);
 
   loadLeaderboard();
   loadCaffeineChart();
+  loadHeatmap();
+}
+
+function applyCustomRange() {
+  const from = document.getElementById("customFrom").value;
+  const to = document.getElementById("customTo").value;
+
+  if (!from || !to || from > to) {
+    showToast("Choose a start date on or before the end date", "error");
+    return;
+  }
+  if (new Date(to) - new Date(from) >= 366 * 24 * 60 * 60 * 1000) {
+    showToast("Custom ranges can cover at most a year", "error");
+    return;
+  }
+
+  updateGraphPeriodDisplay("custom");
+  loadLeaderboard();
+  loadCaffeineChart();
+  loadHeatmap();
+}
+
+// Query string for the selected period, shared by leaderboard and chart
+function periodQuery() {
+  if (currentPeriod !== "custom") return `period=${currentPeriod}`;
+  const from = document.getElementById("customFrom").value;
+  const to = document.getElementById("customTo").value;
+  return `period=custom&from=${from}&to=${to}`;
+}
+
+function changeLeaderboardMetric(metric) {
+  leaderboardMetric = metric;
+  loadLeaderboard();
 }
 
 function updateGraphPeriodDisplay(period) {
@@ -656,7 +3601,17 @@ function updateGraphPeriodDisplay(period) {
     month: "Last 30 Days",
     year: "Last 365 Days",
     all: "All Time",
+    "this-week": "This Week",
+    "this-month": "This Month",
   };
+
+  if (period === "custom") {
+    const from = document.getElementById("customFrom").value;
+    const to = document.getElementById("customTo").value;
+    graphPeriodElement.textContent = `${from} to ${to}`;
+    return;
+  }
+
   graphPeriodElement.textContent = periodMap[period] || "Last 7 Days";
 }
 
@@ -665,13 +3620,16 @@ async function loadLeaderboard() {
   content.innerHTML = `<div class="loading">Loading leaderboard...</div>`;
 
   try {
-    const res = await fetch(`/api/leaderboard?period=${currentPeriod}`, {
-      credentials: "include",
-    });
+    const res = await fetch(
+      `/api/leaderboard?${periodQuery()}&metric=${leaderboardMetric}&audience=${leaderboardAudience}`,
+      { credentials: "include" }
+    );
     if (!res.ok) throw new Error("Failed to fetch leaderboard");
 
     const data = await res.json();
-    renderLeaderboard(data);
+    leaderboardPeriodRange = { start: data.start, end: data.end };
+    renderLeaderboard(data.rows);
+    loadTopDrinks();
   } catch (err) {
     console.error("Error loading leaderboard", err);
     content.innerHTML = `<div class="loading">Failed to load leaderboard. <button onclick="loadLeaderboard()" style="background:none;border:none;color:#00c6ff;cursor:pointer;text-decoration:underline;">Retry</button></div>`;
@@ -681,17 +3639,37 @@ async function loadLeaderboard() {
 
 function renderLeaderboard(data) {
   const content = document.getElementById("leaderboardContent");
+  leaderboardRows = data;
 
   if (!data.length) {
     content.innerHTML = `<div class="loading">No data available for this period.</div>`;
     return;
   }
 
+  const { field, unit } = LEADERBOARD_METRICS[leaderboardMetric];
+
   const leaderboardHTML = data
     .map((user, index) => {
       const rank = index + 1;
       const isCurrentUser = currentUser && user.userId === currentUser.googleId;
 
+      // Movement since the previous period (there is none for all time)
+      let rankChange = "";
+      if (user.previousRank) {
+        const moved = user.previousRank - rank;
+        if (moved > 0) {
+          rankChange = `<span class="rank-change up" title="Up from #${user.previousRank}">▲${moved}</span>`;
+        } else if (moved < 0) {
+          rankChange = `<span class="rank-change down" title="Down from #${
+            user.previousRank
+          }">▼${-moved}</span>`;
+        } else {
+          rankChange = `<span class="rank-change same" title="Same as last period">–</span>`;
+        }
+      } else if (currentPeriod !== "all") {
+        rankChange = `<span class="rank-change new" title="Not ranked last period">NEW</span>`;
+      }
+
       // Rank badge
       let rankBadge;
       if (rank === 1) rankBadge = `<div class="rank-badge gold">1</div>`;
@@ -701,7 +3679,7 @@ function renderLeaderboard(data) {
 
       return `
       <div class="leaderboard-item ${isCurrentUser ? "current-user" : ""}">
-        <div class="rank">${rankBadge}</div>
+        <div class="rank">${rankBadge}${rankChange}</div>
         <div class="user-info">
           ${
             user.userAvatar
@@ -711,16 +3689,30 @@ function renderLeaderboard(data) {
                 "</div>"
           }
           <div class="user-details">
-            <div class="user-name">${escapeHtml(
-              user.userName || "Unknown User"
-            )}${isCurrentUser ? " (You)" : ""}</div>
+            <div class="user-name"><button class="profile-link" onclick="showProfile('${
+              user.userId
+            }')">${escapeHtml(user.userName || "Unknown User")}</button>${
+        isCurrentUser ? " (You)" : followButton(user.userId)
+      }</div>
             <div class="user-stats">${user.entryCount} drinks</div>
+            ${
+              user.badges && user.badges.length
+                ? `<div class="user-badges">${user.badges
+                    .map(
+                      (badge) =>
+                        `<span class="user-badge" title="${escapeHtml(
+                          `${badge.name}: ${badge.description}`
+                        )}">${badge.icon}</span>`
+                    )
+                    .join("")}</div>`
+                : ""
+            }
           </div>
         </div>
         <div class="caffeine-total">
           <span class="caffeine-amount">${Math.round(
-            user.totalCaffeine
-          )}<span class="caffeine-unit">mg</span></span>
+            user[field]
+          )}<span class="caffeine-unit">${unit}</span></span>
         </div>
       </div>
     `;
@@ -740,7 +3732,7 @@ function loadCaffeineChart() {
 
   if (caffeineChart) caffeineChart.destroy();
 
-  fetch(`/api/caffeine-chart?period=${currentPeriod}`, {
+  fetch(`/api/caffeine-chart?${periodQuery()}&scope=${chartScope}`, {
     credentials: "include",
   })
     .then((res) => res.json())
@@ -749,11 +3741,30 @@ function loadCaffeineChart() {
       gradient.addColorStop(0, "rgba(0, 198, 255, 0.4)");
       gradient.addColorStop(1, "rgba(0, 198, 255, 0)");
 
+      // Daily limit only makes sense against one user's daily totals
+      const limit = dailyLimitMg();
+      const showLimit = chartScope === "me" && data.step === "day";
+      const datasets = [];
+
+      if (showLimit) {
+        datasets.push({
+          label: "Daily limit",
+          data: data.labels.map(() => limit),
+          borderColor: "#ff4757",
+          borderWidth: 1.5,
+          borderDash: [6, 4],
+          pointRadius: 0,
+          pointHoverRadius: 0,
+          fill: false,
+        });
+      }
+
       caffeineChart = new Chart(ctx, {
         type: "line",
         data: {
           labels: data.labels,
           datasets: [
+            ...datasets,
             {
               label: "Caffeine (mg)",
               data: data.values,
@@ -776,8 +3787,12 @@ function loadCaffeineChart() {
               callbacks: {
                 label: (ctx) => {
                   const mg = ctx.parsed.y;
-                  const pct = Math.round((mg / 400) * 100);
-                  return `${mg} mg (${pct}% of daily safe limit)`;
+                  if (ctx.dataset.label === "Daily limit") {
+                    return `Your daily limit: ${mg} mg`;
+                  }
+                  if (data.step !== "day") return `${mg} mg`;
+                  const pct = Math.round((mg / limit) * 100);
+                  return `${mg} mg (${pct}% of daily limit)`;
                 },
               },
             },
@@ -791,6 +3806,70 @@ function loadCaffeineChart() {
     });
 }
 
+// Weekday x hour heatmap for the selected period
+async function loadHeatmap() {
+  const container = document.getElementById("heatmap");
+
+  try {
+    const res = await fetch(
+      `/api/caffeine-heatmap?${periodQuery()}&scope=${heatmapScope}`,
+      { credentials: "include" }
+    );
+    if (!res.ok) throw new Error("Failed to fetch heatmap");
+
+    renderHeatmap(await res.json());
+  } catch (err) {
+    console.error("Error loading heatmap", err);
+    container.innerHTML = `<div class="loading">Failed to load heatmap.</div>`;
+  }
+}
+
+function renderHeatmap(data) {
+  const container = document.getElementById("heatmap");
+
+  if (!data.maxMg) {
+    container.innerHTML = `<div class="loading">No drinks logged in this period.</div>`;
+    return;
+  }
+
+  const hourLabels = Array.from(
+    { length: 24 },
+    (_, hour) => `<div class="heatmap-hour">${hour % 3 === 0 ? hour : ""}</div>`
+  ).join("");
+
+  const rows = data.days
+    .map((day, row) => {
+      const cells = data.values[row]
+        .map((mg, hour) => {
+          const count = data.counts[row][hour];
+          const label = `${day} ${String(hour).padStart(
+            2,
+            "0"
+          )}:00 – ${Math.round(mg)} mg (${count} drink${
+            count === 1 ? "" : "s"
+          })`;
+          // Square root keeps small amounts visible next to the peak
+          const style = mg
+            ? `background: rgba(0, 198, 255, ${(
+                0.15 +
+                0.85 * Math.sqrt(mg / data.maxMg)
+              ).toFixed(2)})`
+            : "";
+          return `<div class="heatmap-cell" style="${style}" title="${label}"></div>`;
+        })
+        .join("");
+      return `<div class="heatmap-day">${day}</div>${cells}`;
+    })
+    .join("");
+
+  container.innerHTML = `
+    <div class="heatmap-grid">
+      <div></div>${hourLabels}
+      ${rows}
+    </div>
+  `;
+}
+
 function renderCaffeineChart(data) {
   const canvas = document.getElementById("caffeineChart");
   const ctx = canvas.getContext("2d");
@@ -935,21 +4014,292 @@ function showToast(msg, type = "info") {
   }, 3000);
 }
 
+// Live updates over Server-Sent Events
+function connectEvents() {
+  disconnectEvents();
+  if (!currentUser) return;
+
+  eventSource = new EventSource(
+    `/api/events?clientId=${encodeURIComponent(CLIENT_ID)}`
+  );
+
+  eventSource.onopen = () => {
+    eventsRetryDelay = 1000;
+    // Catch up on anything missed while disconnected
+    if (eventsReconnecting) {
+      eventsReconnecting = false;
+      refreshVisibleData();
+    }
+  };
+
+  eventSource.onerror = () => {
+    eventsReconnecting = true;
+    // The browser retries dropped connections by itself, but gives up once
+    // the server answers with an error; back off and start over then
+    if (eventSource.readyState === EventSource.CLOSED) {
+      disconnectEvents();
+      eventsRetryTimeout = setTimeout(connectEvents, eventsRetryDelay);
+      eventsRetryDelay = Math.min(eventsRetryDelay * 2, 60000);
+    }
+  };
+
+  eventSource.addEventListener("entry-created", (e) => {
+    const entry = JSON.parse(e.data);
+    mergeEntry(entry);
+    applyEntryToStats(entry, 1);
+    applyEntryToLeaderboard(entry, 1);
+  });
+
+  eventSource.addEventListener("entry-updated", (e) => {
+    const entry = JSON.parse(e.data);
+    const previous = { ...entry, ...entry.previous };
+    removeEntry(entry._id);
+    mergeEntry(entry);
+    applyEntryToStats(previous, -1);
+    applyEntryToStats(entry, 1);
+    applyEntryToLeaderboard(previous, -1);
+    applyEntryToLeaderboard(entry, 1);
+  });
+
+  eventSource.addEventListener("entry-deleted", (e) => {
+    const entry = JSON.parse(e.data);
+    removeEntry(entry._id);
+    applyEntryToStats(entry, -1);
+    applyEntryToLeaderboard(entry, -1);
+  });
+
+  eventSource.addEventListener("entry-interactions", (e) => {
+    const update = JSON.parse(e.data);
+    updateEntryInteractions(update);
+    if (update.userId === currentUser.googleId) loadNewReactions();
+  });
+
+  eventSource.addEventListener("drink-type-changed", (e) => {
+    const { action, drinkType } = JSON.parse(e.data);
+    drinkTypes = drinkTypes.filter((d) => d._id !== drinkType._id);
+    if (action !== "deleted") {
+      drinkTypes.push(drinkType);
+      drinkTypes.sort((a, b) => a.name.localeCompare(b.name));
+    }
+    applyDrinkFilters();
+    if (action !== "created") loadPersonalDrinks();
+  });
+}
+
+function disconnectEvents() {
+  clearTimeout(eventsRetryTimeout);
+  if (eventSource) {
+    eventSource.close();
+    eventSource = null;
+  }
+}
+
+// Insert an entry into the loaded feed, keeping newest-first order
+function mergeEntry(entry) {
+  if (!inAudience(feedAudience, entry.userId)) return;
+  if (loadedEntries.some((e) => e._id === entry._id)) return;
+
+  const time = new Date(entry.timestamp);
+  const index = loadedEntries.findIndex((e) => new Date(e.timestamp) < time);
+
+  // Older than everything loaded: it arrives with a later page instead
+  if (index === -1 && entriesCursor) return;
+
+  const list = document.getElementById("entriesList");
+  if (!loadedEntries.length) {
+    list.innerHTML = "";
+  }
+
+  if (index === -1) {
+    loadedEntries.push(entry);
+    list.insertAdjacentHTML("beforeend", renderEntry(entry));
+  } else {
+    const next = list.querySelector(
+      `[data-entry-id="${loadedEntries[index]._id}"]`
+    );
+    loadedEntries.splice(index, 0, entry);
+    next.insertAdjacentHTML("beforebegin", renderEntry(entry));
+  }
+}
+
+function removeEntry(entryId) {
+  loadedEntries = loadedEntries.filter((e) => e._id !== entryId);
+  document.querySelector(`[data-entry-id="${entryId}"]`)?.remove();
+
+  if (!loadedEntries.length && !entriesCursor) {
+    document.getElementById(
+      "entriesList"
+    ).innerHTML = `<div class="loading">No entries yet. Add your first drink!</div>`;
+  }
+}
+
+// Calendar day of a timestamp in the user's timezone, as "YYYY-MM-DD"
+function dayKey(date) {
+  return new Date(date).toLocaleDateString("en-CA", {
+    timeZone: (userSettings && userSettings.timezone) || browserTimezone(),
+  });
+}
+
+// Add (sign 1) or remove (sign -1) an entry from the stat cards
+function applyEntryToStats(entry, sign) {
+  if (statsScope === "me" && entry.userId !== currentUser.googleId) return;
+
+  statsTotals.allTime += sign * entry.caffeineMg;
+  if (dayKey(entry.timestamp) === dayKey(new Date())) {
+    statsTotals.today += sign * entry.caffeineMg;
+    statsTotals.todayCount += sign;
+  }
+  renderStats();
+}
+
+// Top drinks for the leaderboard's period and audience
+async function loadTopDrinks() {
+  const content = document.getElementById("topDrinksContent");
+
+  try {
+    const res = await fetch(
+      `/api/analytics/drinks?${periodQuery()}&audience=${leaderboardAudience}`,
+      { credentials: "include" }
+    );
+    if (!res.ok) throw new Error("Failed to fetch top drinks");
+
+    renderTopDrinks(await res.json());
+  } catch (err) {
+    console.error("Error loading top drinks", err);
+    content.innerHTML = `<div class="loading">Failed to load top drinks.</div>`;
+  }
+}
+
+function renderTopDrinks(data) {
+  const content = document.getElementById("topDrinksContent");
+
+  if (!data.drinks.length) {
+    content.innerHTML = `<div class="loading">No drinks logged in this period.</div>`;
+    return;
+  }
+
+  content.innerHTML = data.drinks
+    .map((drink, index) => {
+      const percent = Math.round(drink.share * 100);
+      const sizes = drink.sizes
+        .map((size) => `${escapeHtml(size.sizeName)} ×${size.count}`)
+        .join(" · ");
+
+      return `
+      <div class="top-drink">
+        <div class="top-drink-rank">${index + 1}</div>
+        <img src="${escapeHtml(
+          drink.imageUrl
+        )}" alt="" class="top-drink-img" onerror="this.src='/images/noImage.png'" loading="lazy" />
+        <div class="top-drink-info">
+          <div class="top-drink-name">${escapeHtml(drink.drinkName)}</div>
+          <div class="group-meta">${drink.count} logged · ${Math.round(
+        drink.totalMg
+      )} mg · ${drink.uniqueUsers} ${
+        drink.uniqueUsers === 1 ? "person" : "people"
+      }</div>
+          <div class="group-meta">${sizes}</div>
+          <div class="share-bar" title="${percent}% of all caffeine">
+            <div class="share-fill" style="width: ${percent}%"></div>
+          </div>
+        </div>
+        <div class="top-drink-share">${percent}%</div>
+      </div>
+    `;
+    })
+    .join("");
+}
+
+// Whether a timestamp falls in the loaded leaderboard period. Rolling
+// periods end "now", so they stay open-ended.
+function inLeaderboardPeriod(timestamp) {
+  if (!leaderboardPeriodRange || !leaderboardPeriodRange.start) return true;
+
+  const time = new Date(timestamp);
+  const rolling = ["week", "month", "year"].includes(currentPeriod);
+  return (
+    time >= new Date(leaderboardPeriodRange.start) &&
+    (rolling || time < new Date(leaderboardPeriodRange.end))
+  );
+}
+
+// Add (sign 1) or remove (sign -1) an entry from the leaderboard totals.
+// Only totals and counts can be updated in place; other metrics refetch.
+function applyEntryToLeaderboard(entry, sign) {
+  if (!inAudience(leaderboardAudience, entry.userId)) return;
+  if (!inLeaderboardPeriod(entry.timestamp)) return;
+
+  if (!["total", "count"].includes(leaderboardMetric)) {
+    clearTimeout(leaderboardReloadTimeout);
+    leaderboardReloadTimeout = setTimeout(loadLeaderboard, 2000);
+    return;
+  }
+
+  let row = leaderboardRows.find((r) => r.userId === entry.userId);
+  if (!row) {
+    if (sign < 0) return;
+    row = {
+      userId: entry.userId,
+      userName: entry.userName,
+      userAvatar: entry.userAvatar,
+      totalCaffeine: 0,
+      entryCount: 0,
+      previousRank: null,
+      badges: [],
+    };
+    leaderboardRows.push(row);
+  }
+
+  row.totalCaffeine += sign * entry.caffeineMg;
+  row.entryCount += sign;
+
+  const { field } = LEADERBOARD_METRICS[leaderboardMetric];
+  renderLeaderboard(
+    leaderboardRows
+      .filter((r) => r.entryCount > 0)
+      .sort((a, b) => b[field] - a[field] || b.totalCaffeine - a.totalCaffeine)
+  );
+}
+
+// Show newly unlocked achievements one after another, after the toast
+// that's already on screen
+function announceAchievements(achievements = []) {
+  achievements.forEach((achievement, i) => {
+    setTimeout(() => {
+      showToast(
+        `${achievement.icon} Achievement unlocked: ${achievement.name}!`,
+        "achievement"
+      );
+    }, 1500 + i * 3000);
+  });
+
+  if (achievements.length) loadLeaderboard();
+}
+
 // Auto-refresh stats and entries every 30 seconds
+// Entries, stats and the leaderboard come from the live event stream while
+// it's connected; polling covers the gaps when it isn't.
 setInterval(() => {
   if (currentUser) {
-    loadStats();
+    const live = eventSource && eventSource.readyState === EventSource.OPEN;
+    if (!live) {
+      loadStats();
+      loadNewReactions();
+    }
+    loadActiveCaffeine();
+    loadAfterCutoff();
     // Only reload entries if no modals are open
     const modalsOpen =
       document.querySelectorAll('.modal[style*="flex"]').length > 0;
     if (!modalsOpen) {
-      loadEntries();
+      if (!live) refreshEntries();
 
       // Refresh leaderboard if on leaderboard tab
       const leaderboardTab = document.getElementById("leaderboardTab");
       if (leaderboardTab && leaderboardTab.classList.contains("active")) {
-        loadLeaderboard();
+        if (!live) loadLeaderboard();
         loadCaffeineChart();
+        loadHeatmap();
       }
     }
   }
@@ -0,0 +1,112 @@
+// Service worker: keeps the app usable offline.
+// - App shell: network first, falling back to the cached copy
+// - Images (including drink images from other hosts): cache first
+// - The drink catalog and auth check: network first, so the last good
+//   response is available offline
+// Entries logged while offline are queued by script.js, not here.
+
+const SHELL_CACHE = "caffeine-shell-v1";
+const IMAGE_CACHE = "caffeine-images-v1";
+const API_CACHE = "caffeine-api-v1";
+const CACHES = [SHELL_CACHE, IMAGE_CACHE, API_CACHE];
+
+const SHELL_URLS = [
+  "/",
+  "/index.html",
+  "/script.js",
+  "/style.css",
+  "/images/noImage.png",
+  "/images/favicon.ico",
+  "/images/icon-192.png",
+  "/images/apple-touch-icon.png",
+];
+
+// GET API responses worth keeping for offline use
+const CACHED_API_PATHS = ["/api/types", "/api/auth/check"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop caches from older versions of this worker
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => !CACHES.includes(key))
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // A signed-out user's catalog and session shouldn't outlive the session
+  if (url.pathname === "/api/auth/logout") {
+    event.waitUntil(caches.delete(API_CACHE));
+    return;
+  }
+
+  if (request.method !== "GET") return;
+
+  if (request.destination === "image") {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE));
+    return;
+  }
+
+  if (url.origin !== self.location.origin) return;
+
+  if (CACHED_API_PATHS.includes(url.pathname)) {
+    event.respondWith(networkFirst(request, API_CACHE));
+    return;
+  }
+
+  if (request.mode === "navigate" || SHELL_URLS.includes(url.pathname)) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  }
+});
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Opaque (cross-origin, no-cors) responses report status 0
+  if (response.ok || response.type === "opaque") {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function networkFirst(request, cacheName) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    // Navigations fall back to the cached page under any URL
+    if (request.mode === "navigate") {
+      const shell = await caches.match("/");
+      if (shell) return shell;
+    }
+    throw err;
+  }
+}
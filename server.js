@@ -4,6 +4,8 @@ const path = require("path");
 const session = require("express-session");
 const MongoStore = require("connect-mongo");
 const { OAuth2Client } = require("google-auth-library");
+const crypto = require("crypto");
+const fs = require("fs");
 
 require("dotenv").config();
 
@@ -60,6 +62,15 @@ app.use(
   })
 );
 
+// Unlocked achievement (see ACHIEVEMENTS for the rules)
+const userAchievementSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true },
+    unlockedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 // User schema
 const userSchema = new mongoose.Schema(
   {
@@ -88,6 +99,64 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    halfLifeHours: {
+      type: Number,
+      default: 5,
+      min: 1,
+      max: 12,
+    },
+    dailyLimitMg: {
+      type: Number,
+      default: 400,
+      min: 1,
+    },
+    singleDoseLimitMg: {
+      type: Number,
+      default: 200,
+      min: 1,
+    },
+    // How volumes are shown; always stored in ml
+    units: {
+      type: String,
+      enum: ["metric", "imperial"],
+      default: "metric",
+    },
+    // Local "HH:MM" times in the user's timezone
+    bedtime: {
+      type: String,
+      default: "23:00",
+    },
+    caffeineCutoff: {
+      type: String,
+      default: "14:00",
+    },
+    activeGroupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      default: null,
+    },
+    timezone: {
+      type: String,
+    },
+    role: {
+      type: String,
+      enum: ["admin", "moderator", "member"],
+      default: "member",
+    },
+    favoriteTypeIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "DrinkType",
+      },
+    ],
+    achievements: [userAchievementSchema],
+    // googleIds of the users this user follows
+    following: [{ type: String }],
+    // Reactions on the user's entries after this are counted as new
+    reactionsSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
   },
   {
     collection: "users",
@@ -106,20 +175,92 @@ const sizeVariantSchema = new mongoose.Schema({
     required: true,
     min: 0,
   },
+  // Barcode, stored as a 14-digit GTIN (see normalizeUpc)
+  upc: {
+    type: String,
+    trim: true,
+  },
+  // Optional; with it, caffeineMg / volumeMl is the drink's concentration
+  // and custom amounts can be logged by volume
+  volumeMl: {
+    type: Number,
+    min: 0,
+  },
 });
 
+// Drink catalog categories
+const DRINK_CATEGORIES = [
+  "coffee",
+  "tea",
+  "energy drink",
+  "soda",
+  "pre-workout",
+  "other",
+];
+
+// Drink type revision (who changed what, and when)
+const drinkRevisionSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ["created", "updated", "deleted", "restored"],
+      required: true,
+    },
+    userId: { type: String, required: true },
+    userName: { type: String, required: true },
+    // { field: { from, to } } for updates
+    changes: { type: mongoose.Schema.Types.Mixed, default: {} },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 // Updated Drink Type Schema with size variants
 const drinkTypeSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true },
     imageUrl: { type: String, default: "/images/noImage.png", trim: true },
     sizes: [sizeVariantSchema],
+    category: { type: String, enum: DRINK_CATEGORIES, default: "other" },
+    tags: [{ type: String, trim: true, lowercase: true }],
+    createdBy: {
+      userId: { type: String },
+      userName: { type: String },
+    },
     createdAt: { type: Date, default: Date.now },
     deleted: { type: Boolean, default: false },
+    revisions: [drinkRevisionSchema],
   },
   { collection: "types" }
 );
 
+// Reactions and comments on feed entries
+const REACTION_EMOJIS = ["👍", "🔥", "☕", "😱", "💀", "❤️"];
+const MAX_COMMENT_LENGTH = 280;
+const MAX_COMMENTS_PER_ENTRY = 200;
+
+const reactionSchema = new mongoose.Schema(
+  {
+    emoji: { type: String, enum: REACTION_EMOJIS, required: true },
+    userId: { type: String, required: true },
+    userName: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Comments are threaded one level deep: replies point at a top-level comment
+const commentSchema = new mongoose.Schema({
+  parentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  userId: { type: String, required: true },
+  userName: { type: String, required: true },
+  userAvatar: { type: String },
+  text: { type: String, trim: true, maxlength: MAX_COMMENT_LENGTH },
+  // Deleted comments that still have replies keep their place in the thread
+  deleted: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+});
+
 // Updated Caffeine Entry Schema with user info
 const caffeineEntrySchema = new mongoose.Schema(
   {
@@ -156,6 +297,12 @@ const caffeineEntrySchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Amount drunk, when known (custom amounts are logged by volume)
+    volumeMl: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
     userId: {
       type: String,
       required: true,
@@ -167,15 +314,100 @@ const caffeineEntrySchema = new mongoose.Schema(
     userAvatar: {
       type: String,
     },
+    reactions: [reactionSchema],
+    comments: [commentSchema],
+    // Set on entries logged automatically by a recurring schedule
+    scheduleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ScheduledEntry",
+      default: null,
+    },
+    // Id generated by the client when the entry was logged, so a request
+    // replayed from the offline queue doesn't create a second entry
+    clientEntryId: {
+      type: String,
+      default: undefined,
+    },
   },
   {
     collection: "entries",
   }
 );
 
+caffeineEntrySchema.index(
+  { userId: 1, clientEntryId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { clientEntryId: { $type: "string" } },
+  }
+);
+
+// Recurring entry ("every weekday at 8:00, Grande Latte"), logged by
+// runSchedules() in the owner's timezone
+const scheduledEntrySchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true, index: true },
+    drinkName: { type: String, required: true, trim: true },
+    sizeName: { type: String, required: true, trim: true },
+    caffeineMg: { type: Number, required: true, min: 0 },
+    volumeMl: { type: Number, min: 0, default: null },
+    customDescription: { type: String, default: "", trim: true },
+    // Weekdays, 0 = Sunday
+    days: { type: [Number], required: true },
+    // Local "HH:MM"
+    time: { type: String, required: true },
+    paused: { type: Boolean, default: false },
+    // "YYYY-MM-DD" dates in the owner's timezone to leave out
+    skipDates: { type: [String], default: [] },
+    // Occurrences up to this instant have been logged
+    lastRunAt: { type: Date, default: Date.now },
+    // "YYYY-MM-DD" in the owner's timezone of the last logged occurrence, so
+    // moving the time later doesn't log the same day twice
+    lastRunDate: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { collection: "scheduledEntries" }
+);
+
+// Group member schema
+const groupMemberSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+    },
+    userName: {
+      type: String,
+      required: true,
+    },
+    userAvatar: {
+      type: String,
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Group schema (private spaces joined by invite code)
+const groupSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    inviteCode: { type: String, required: true, unique: true },
+    members: [groupMemberSchema],
+    createdBy: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { collection: "groups" }
+);
+
 const User = mongoose.model("User", userSchema);
+const Group = mongoose.model("Group", groupSchema);
 const DrinkType = mongoose.model("DrinkType", drinkTypeSchema);
 const CaffeineEntry = mongoose.model("CaffeineEntry", caffeineEntrySchema);
+const ScheduledEntry = mongoose.model("ScheduledEntry", scheduledEntrySchema);
 
 // Authentication middleware
 const requireAuth = (req, res, next) => {
@@ -185,270 +417,3363 @@ const requireAuth = (req, res, next) => {
   next();
 };
 
-// Auth Routes
-
-// Google OAuth verification
-app.post("/api/auth/google", async (req, res) => {
+// Load the signed-in user's document onto req.user (use after requireAuth).
+// Roles are always read from the database so changes apply immediately.
+const loadUser = async (req, res, next) => {
   try {
-    const { token } = req.body;
+    req.user = await User.findOne({ googleId: req.session.user.googleId });
+    if (!req.user) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const ticket = await client.verifyIdToken({
-      idToken: token,
-      audience: GOOGLE_CLIENT_ID,
-    });
+// Role guard, e.g. requireRole("admin", "moderator")
+const requireRole = (...roles) => [
+  requireAuth,
+  loadUser,
+  (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+    next();
+  },
+];
 
-    const payload = ticket.getPayload();
-    const { sub: googleId, email, name, picture } = payload;
+const isModerator = (user) =>
+  user.role === "admin" || user.role === "moderator";
 
-    // Find or create user
-    let user = await User.findOne({ googleId });
+// Moderators can manage any drink type, members only the ones they created
+const canManageDrinkType = (user, drink) =>
+  isModerator(user) ||
+  Boolean(drink.createdBy && drink.createdBy.userId === user.googleId);
 
-    if (!user) {
-      user = new User({
-        googleId,
-        email,
-        name,
-        picture,
-        lastLoginAt: new Date(),
-      });
-      await user.save();
-      console.log(`New user created: ${email}`);
-    } else {
-      // Update last login
-      user.lastLoginAt = new Date();
-      if (user.picture !== picture) {
-        user.picture = picture;
-      }
-      await user.save();
-      console.log(`User logged in: ${email}`);
-    }
+// Comma-separated emails that are promoted to admin when they sign in
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || "")
+  .split(",")
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
 
-    // Store user in session
-    req.session.user = {
-      googleId: user.googleId,
-      email: user.email,
-      name: user.name,
-      picture: user.picture,
-    };
+// Caffeine decay model
+// One-compartment model with first-order absorption and elimination
+// (Bateman function). Absorption is fast (~45 min to peak), elimination
+// follows the user's configured half-life.
+const ABSORPTION_HALF_LIFE_HOURS = 0.25;
+const MIN_HALF_LIFE_HOURS = 1;
+const MAX_HALF_LIFE_HOURS = 12;
+const HOUR_MS = 1000 * 60 * 60;
 
-    res.json({
-      success: true,
-      user: req.session.user,
-    });
-  } catch (error) {
-    console.error("Google auth error:"), error;
-    res.status(400).json({ error: "Invalid token" });
-  }
-});
+const caffeineRemaining = (doseMg, hoursSince, halfLifeHours) => {
+  if (hoursSince < 0) return 0;
+  const ka = Math.LN2 / ABSORPTION_HALF_LIFE_HOURS;
+  const ke = Math.LN2 / halfLifeHours;
+  return (
+    doseMg *
+    (ka / (ka - ke)) *
+    (Math.exp(-ke * hoursSince) - Math.exp(-ka * hoursSince))
+  );
+};
 
-// Check authentication status
-app.get("/api/auth/check", (req, res) => {
-  if (req.session.user) {
-    res.json(req.session.user);
-  } else {
-    res.status(401).json({ error: "Not authenticated" });
-  }
-});
+const activeCaffeineAt = (entries, at, halfLifeHours) =>
+  entries.reduce(
+    (sum, entry) =>
+      sum +
+      caffeineRemaining(
+        entry.caffeineMg,
+        (at - new Date(entry.timestamp)) / HOUR_MS,
+        halfLifeHours
+      ),
+    0
+  );
 
-// Logout
-app.post("/api/auth/logout", (req, res) => {
-  req.session.destroy((err) => {
-    if (err) {
-      console.error("Failed to logout", err);
-      return res.status(500).json({ error: "Failed to logout" });
-    }
-    res.clearCookie("connect.sid");
-    res.json({ success: true });
-    console.log("User logged out");
-  });
-});
+// Entries older than this contribute less than 0.1% of their dose
+const decayWindowMs = (halfLifeHours) => halfLifeHours * 10 * HOUR_MS;
 
-// Protected Routes (require authentication)
+// Timezone helpers
+// Calendar days are represented as Dates at UTC midnight ("calendar dates"),
+// so day/month arithmetic can use the UTC setters without DST surprises.
+// zonedMidnight() converts one back to the real instant in a user's zone.
+const SERVER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const DAY_MS = 1000 * 60 * 60 * 24;
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const zoneFormatters = new Map();
 
-// Get all drink types
-app.get("/api/types", requireAuth, async (req, res) => {
+const isValidTimezone = (timeZone) => {
   try {
-    const types = await DrinkType.find({ deleted: false }).sort({ name: 1 });
-    res.json(types);
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
   } catch (error) {
-    console.error("Error fetching drink types:", error);
-    res.status(500).json({ error: "Failed to fetch drink types" });
+    return false;
   }
-});
+};
 
-// Add new drink type with sizes
-app.post("/api/types", requireAuth, async (req, res) => {
-  try {
-    const { name, imageUrl, sizes } = req.body;
-    const user = req.session.user;
+// Wall-clock parts of an instant as seen in timeZone
+const zonedParts = (date, timeZone) => {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        weekday: "short",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
 
-    if (!name || !sizes || !Array.isArray(sizes) || sizes.length === 0) {
-      return res.status(400).json({
-        error: "Name and at least one size variant are required",
-      });
-    }
+  const parts = {};
+  zoneFormatters
+    .get(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
 
-    // Validate each size
-    for (const size of sizes) {
-      if (!size.name || !size.caffeineMg || size.caffeineMg <= 0) {
-        return res.status(400).json({
-          error: "Each size must have a name and positive caffeine amount",
-        });
-      }
-    }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+};
 
-    const existingType = await DrinkType.findOne({ name: name.trim() });
-    if (existingType) {
-      return res.status(400).json({ error: "Drink type already exists" });
-    }
+// The instant at which a wall-clock time occurs in timeZone
+const zonedTimeToUtc = (year, month, day, hour, minute, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (ms) => {
+    const p = zonedParts(new Date(ms), timeZone);
+    return (
+      Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) -
+      Math.floor(ms / 1000) * 1000
+    );
+  };
 
-    const newType = new DrinkType({
-      name: name.trim(),
-      imageUrl: imageUrl ? imageUrl.trim() : "/images/noImage.png",
-      sizes: sizes.map((size) => ({
-        name: size.name.trim(),
-        caffeineMg: parseFloat(size.caffeineMg),
-      })),
-    });
+  // Re-check the offset at the result in case a DST change lies between
+  const guess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(guess));
+};
 
-    const savedType = await newType.save();
-    res.status(201).json(savedType);
-    console.log(`New drink type added: ${user.name} added ${savedType.name}`);
-  } catch (error) {
-    console.error("Error saving drink type:", error);
-    res.status(500).json({ error: "Failed to save drink type" });
-  }
-});
+// Calendar date (UTC midnight) of an instant in timeZone
+const calendarDate = (date, timeZone) => {
+  const p = zonedParts(new Date(date), timeZone);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day));
+};
 
-// Get all caffeine entries (all users, sorted by timestamp)
-app.get("/api/entries", requireAuth, async (req, res) => {
-  try {
-    const entries = await CaffeineEntry.find()
-      .sort({ timestamp: -1 })
-      .limit(50);
-    res.json(entries);
-  } catch (error) {
-    console.error("Error fetching entries:", error);
-    res.status(500).json({ error: "Failed to fetch entries" });
-  }
-});
+// Instant of local midnight for a calendar date in timeZone
+const zonedMidnight = (calDate, timeZone) =>
+  zonedTimeToUtc(
+    calDate.getUTCFullYear(),
+    calDate.getUTCMonth() + 1,
+    calDate.getUTCDate(),
+    0,
+    0,
+    timeZone
+  );
 
-// Add new caffeine entry
-app.post("/api/entries", requireAuth, async (req, res) => {
-  try {
-    const {
-      drinkName,
-      sizeName,
-      caffeineMg,
-      customDescription,
-      isCustomDrink,
-    } = req.body;
+const addCalendarDays = (calDate, days) =>
+  new Date(calDate.getTime() + days * DAY_MS);
 
-    if (!drinkName || !sizeName || !caffeineMg || caffeineMg <= 0) {
-      return res.status(400).json({
-        error:
-          "Drink name, size name, and positive caffeine amount are required",
-      });
-    }
+// Parse "YYYY-MM-DD" into a calendar date, or null if malformed
+const parseCalendarDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return null;
+  const calDate = new Date(`${value}T00:00:00Z`);
+  return isNaN(calDate.getTime()) ? null : calDate;
+};
 
-    const fullName = `${sizeName} ${drinkName}`;
+const userTimezone = (user) => (user && user.timezone) || SERVER_TIMEZONE;
 
-    const newEntry = new CaffeineEntry({
-      drinkName: drinkName.trim(),
-      sizeName: sizeName.trim(),
-      fullName: fullName.trim(),
-      caffeineMg: parseFloat(caffeineMg),
-      customDescription: customDescription ? customDescription.trim() : "",
-      isCustomDrink: Boolean(isCustomDrink),
-      userId: req.session.user.googleId,
-      userName: req.session.user.name,
-      userAvatar: req.session.user.picture,
-    });
+const timezoneForRequest = async (req) => {
+  const user = await User.findOne({ googleId: req.session.user.googleId });
+  return userTimezone(user);
+};
 
-    const savedEntry = await newEntry.save();
-    res.status(201).json(savedEntry);
-    console.log(
-      `New entry added for user ${req.session.user.email}: ${savedEntry.fullName} (${savedEntry.caffeineMg}mg)`
-    );
-  } catch (error) {
-    console.error("Error saving entry:", error);
-    res.status(500).json({ error: "Failed to save entry" });
-  }
-});
+// Midnight-to-midnight range of the day containing date, in timeZone
+const dayRange = (date, timeZone) => {
+  const day = calendarDate(date, timeZone);
+  return {
+    start: zonedMidnight(day, timeZone),
+    end: zonedMidnight(addCalendarDays(day, 1), timeZone),
+  };
+};
 
-// Get total caffeine consumed today (for ALL users)
-app.get("/api/total-today", requireAuth, async (req, res) => {
-  try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+const todayRange = (timeZone) => dayRange(new Date(), timeZone);
 
-    const todayEntries = await CaffeineEntry.find({
-      timestamp: {
-        $gte: today,
-        $lt: tomorrow,
+// Entry timestamps may be backdated but not set in the future (allowing a
+// little clock skew). Returns null when the value is not a usable date.
+const MAX_CLOCK_SKEW_MS = 1000 * 60 * 5;
+
+const parseEntryTimestamp = (value) => {
+  const timestamp = new Date(value);
+  if (isNaN(timestamp.getTime())) return null;
+  if (timestamp.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) return null;
+  return timestamp;
+};
+
+// Check whether logging caffeineMg at the given time would push the user
+// over their limits for that day
+const checkEntryLimits = async (user, caffeineMg, at = new Date()) => {
+  const { start, end } = dayRange(at, userTimezone(user));
+  const todayEntries = await CaffeineEntry.find({
+    userId: user.googleId,
+    timestamp: { $gte: start, $lt: end },
+  });
+  const dayTotalMg =
+    todayEntries.reduce((sum, entry) => sum + entry.caffeineMg, 0) + caffeineMg;
+
+  const overDailyLimit = dayTotalMg > user.dailyLimitMg;
+  const overDoseLimit = caffeineMg > user.singleDoseLimitMg;
+
+  return {
+    warning: overDailyLimit || overDoseLimit,
+    overDailyLimit,
+    overDoseLimit,
+    dayTotalMg,
+    dailyLimitMg: user.dailyLimitMg,
+    singleDoseLimitMg: user.singleDoseLimitMg,
+  };
+};
+
+// Sleep schedule
+// Bedtime and caffeine cutoff are wall-clock "HH:MM" times. A user's day
+// starts a few hours after bedtime, so a 1am drink counts toward the evening
+// before, while an early morning coffee starts the next day.
+const MINUTES_PER_DAY = 24 * 60;
+const SLEEP_WARNING_MG = 50;
+const DAY_START_AFTER_BEDTIME_MINUTES = 4 * 60;
+// Longest allowed gap between the cutoff and bedtime; anything longer is
+// more likely a cutoff set after bedtime by mistake
+const MAX_CUTOFF_LEAD_MINUTES = 16 * 60;
+
+// Minutes after midnight for "HH:MM", or null if malformed
+const parseClockTime = (value) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+// The bedtime and cutoff of the day containing at, and where at falls
+// relative to them
+const sleepSchedule = (user, at) => {
+  const timeZone = userTimezone(user);
+  const bedtime = parseClockTime(user.bedtime);
+  const cutoff = parseClockTime(user.caffeineCutoff);
+  const night = (cutoff - bedtime + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  // Never later than the next cutoff, for settings saved before the cutoff
+  // had to be well before bedtime
+  const dayStart =
+    (bedtime +
+      Math.min(DAY_START_AFTER_BEDTIME_MINUTES, Math.floor(night / 2))) %
+    MINUTES_PER_DAY;
+  const sinceDayStart = (minutes) =>
+    (minutes - dayStart + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+
+  const p = zonedParts(at, timeZone);
+  const minutes = p.hour * 60 + p.minute;
+  const day = addCalendarDays(
+    new Date(Date.UTC(p.year, p.month - 1, p.day)),
+    minutes < dayStart ? -1 : 0
+  );
+
+  // Clock times before dayStart fall on the next calendar date
+  const instant = (clock) => {
+    const date = addCalendarDays(day, clock < dayStart ? 1 : 0);
+    return zonedTimeToUtc(
+      date.getUTCFullYear(),
+      date.getUTCMonth() + 1,
+      date.getUTCDate(),
+      Math.floor(clock / 60),
+      clock % 60,
+      timeZone
+    );
+  };
+
+  return {
+    bedtime: instant(bedtime),
+    cutoff: instant(cutoff),
+    afterCutoff: sinceDayStart(minutes) >= sinceDayStart(cutoff),
+    pastBedtime: sinceDayStart(minutes) >= sinceDayStart(bedtime),
+  };
+};
+
+// Estimate how much caffeine will still be active at bedtime if caffeineMg
+// is logged at the given time. Drinks logged after bedtime are projected an
+// hour ahead instead.
+const projectBedtime = async (user, caffeineMg, at = new Date()) => {
+  const schedule = sleepSchedule(user, at);
+  const projectedAt = schedule.pastBedtime
+    ? new Date(at.getTime() + HOUR_MS)
+    : schedule.bedtime;
+  const { halfLifeHours } = user;
+
+  const entries = await CaffeineEntry.find({
+    userId: user.googleId,
+    timestamp: {
+      $gte: new Date(projectedAt.getTime() - decayWindowMs(halfLifeHours)),
+      $lt: projectedAt,
+    },
+  });
+  const entryMg = caffeineRemaining(
+    caffeineMg,
+    (projectedAt - at) / HOUR_MS,
+    halfLifeHours
+  );
+  const activeMg =
+    activeCaffeineAt(entries, projectedAt, halfLifeHours) + entryMg;
+
+  return {
+    warning: schedule.afterCutoff || activeMg >= SLEEP_WARNING_MG,
+    afterCutoff: schedule.afterCutoff,
+    pastBedtime: schedule.pastBedtime,
+    bedtime: schedule.bedtime,
+    cutoff: schedule.cutoff,
+    projectedAt,
+    activeMg: Math.round(activeMg * 10) / 10,
+    entryMg: Math.round(entryMg * 10) / 10,
+    warningMg: SLEEP_WARNING_MG,
+  };
+};
+
+const settingsResponse = (user) => ({
+  timezone: userTimezone(user),
+  halfLifeHours: user.halfLifeHours,
+  dailyLimitMg: user.dailyLimitMg,
+  singleDoseLimitMg: user.singleDoseLimitMg,
+  bedtime: user.bedtime,
+  caffeineCutoff: user.caffeineCutoff,
+  units: user.units,
+});
+
+// Achievements. Each rule checks the stats from achievementStats().
+const ACHIEVEMENTS = [
+  {
+    id: "first-sip",
+    name: "First Sip",
+    description: "Log your first drink",
+    icon: "☕",
+    check: (stats) => stats.entryCount >= 1,
+  },
+  {
+    id: "streak-3",
+    name: "Warming Up",
+    description: "Log drinks 3 days in a row",
+    icon: "🔥",
+    check: (stats) => stats.longestStreak >= 3,
+  },
+  {
+    id: "streak-7",
+    name: "Week Streak",
+    description: "Log drinks 7 days in a row",
+    icon: "📅",
+    check: (stats) => stats.longestStreak >= 7,
+  },
+  {
+    id: "streak-30",
+    name: "Creature of Habit",
+    description: "Log drinks 30 days in a row",
+    icon: "🏆",
+    check: (stats) => stats.longestStreak >= 30,
+  },
+  {
+    id: "variety-5",
+    name: "Explorer",
+    description: "Try 5 different drinks",
+    icon: "🧭",
+    check: (stats) => stats.distinctDrinks >= 5,
+  },
+  {
+    id: "variety-10",
+    name: "Connoisseur",
+    description: "Try 10 different drinks",
+    icon: "🎩",
+    check: (stats) => stats.distinctDrinks >= 10,
+  },
+  {
+    id: "under-limit-week",
+    name: "Moderation",
+    description: "Stay under your daily limit 7 logged days in a row",
+    icon: "🧘",
+    check: (stats) => stats.longestUnderLimitRun >= 7,
+  },
+  {
+    id: "late-espresso",
+    name: "Night Owl",
+    description: "Have an espresso after 10pm",
+    icon: "🦉",
+    check: (stats) => stats.lateEspresso,
+  },
+];
+
+const achievementResponse = ({ id, name, description, icon }) => ({
+  id,
+  name,
+  description,
+  icon,
+});
+
+// A user's unlocked achievements, in ACHIEVEMENTS order
+const userBadges = (user) =>
+  ACHIEVEMENTS.filter((rule) =>
+    user.achievements.some((a) => a.id === rule.id)
+  ).map(achievementResponse);
+
+// Everything the achievement rules look at, computed from the user's
+// entries in their own timezone
+const achievementStats = async (user) => {
+  const timeZone = userTimezone(user);
+  const userFilter = { userId: user.googleId };
+
+  const [days, drinkNames, lateEspresso] = await Promise.all([
+    CaffeineEntry.aggregate([
+      { $match: userFilter },
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              format: "%Y-%m-%d",
+              date: "$timestamp",
+              timezone: timeZone,
+            },
+          },
+          totalMg: { $sum: "$caffeineMg" },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]),
+    CaffeineEntry.distinct("drinkName", userFilter),
+    CaffeineEntry.exists({
+      ...userFilter,
+      fullName: /espresso/i,
+      $expr: {
+        $gte: [{ $hour: { date: "$timestamp", timezone: timeZone } }, 22],
       },
+    }),
+  ]);
+
+  // Longest runs of consecutive logged days, overall and under the limit
+  let longestStreak = 0;
+  let longestUnderLimitRun = 0;
+  let streak = 0;
+  let underLimitRun = 0;
+  let previousDay = null;
+
+  for (const day of days) {
+    const date = parseCalendarDate(day._id);
+    const consecutive = previousDay && date - previousDay === DAY_MS;
+
+    streak = consecutive ? streak + 1 : 1;
+    if (day.totalMg <= user.dailyLimitMg) {
+      underLimitRun = consecutive ? underLimitRun + 1 : 1;
+    } else {
+      underLimitRun = 0;
+    }
+
+    longestStreak = Math.max(longestStreak, streak);
+    longestUnderLimitRun = Math.max(longestUnderLimitRun, underLimitRun);
+    previousDay = date;
+  }
+
+  // The last run only counts as current if it reaches today or yesterday
+  const today = calendarDate(new Date(), timeZone);
+  const currentStreak =
+    previousDay && today - previousDay <= DAY_MS ? streak : 0;
+
+  return {
+    entryCount: days.reduce((sum, day) => sum + day.count, 0),
+    totalMg: days.reduce((sum, day) => sum + day.totalMg, 0),
+    firstDay: days.length ? parseCalendarDate(days[0]._id) : null,
+    distinctDrinks: new Set(drinkNames.map((name) => name.toLowerCase())).size,
+    longestStreak,
+    currentStreak,
+    longestUnderLimitRun,
+    lateEspresso: Boolean(lateEspresso),
+  };
+};
+
+// Re-check every rule against the user's current entries and store the
+// result. Deleting entries can take an achievement away again.
+// Returns the newly unlocked achievements.
+const evaluateAchievements = async (user) => {
+  const stats = await achievementStats(user);
+  const earned = new Set(
+    ACHIEVEMENTS.filter((rule) => rule.check(stats)).map((rule) => rule.id)
+  );
+  const had = new Set(user.achievements.map((a) => a.id));
+
+  const unlocked = ACHIEVEMENTS.filter(
+    (rule) => earned.has(rule.id) && !had.has(rule.id)
+  );
+  const kept = user.achievements.filter((a) => earned.has(a.id));
+
+  if (unlocked.length || kept.length !== user.achievements.length) {
+    user.achievements = [
+      ...kept,
+      ...unlocked.map((rule) => ({ id: rule.id, unlockedAt: new Date() })),
+    ];
+    await user.save();
+  }
+
+  return unlocked.map(achievementResponse);
+};
+
+// Entries the current user can see: members of their active group, or
+// everyone when no group is active
+const visibilityFilter = async (req) => {
+  const { googleId } = req.session.user;
+  const user = await User.findOne({ googleId });
+  if (!user || !user.activeGroupId) return {};
+
+  const group = await Group.findById(user.activeGroupId);
+  if (!group || !group.members.some((m) => m.userId === googleId)) return {};
+
+  return { userId: { $in: group.members.map((m) => m.userId) } };
+};
+
+// Feed/leaderboard audience: "everyone" is everyone visible to the user,
+// "following" narrows that to the users they follow plus themselves.
+// Returns null for an unknown audience.
+const audienceFilter = async (req) => {
+  const { audience = "everyone" } = req.query;
+  const visibility = await visibilityFilter(req);
+
+  switch (audience) {
+    case "everyone":
+      return visibility;
+    case "following": {
+      const { googleId } = req.session.user;
+      const user = await User.findOne({ googleId }).select("following");
+      const followed = {
+        userId: { $in: [...((user && user.following) || []), googleId] },
+      };
+      return visibility.userId ? { $and: [visibility, followed] } : followed;
+    }
+    default:
+      return null;
+  }
+};
+
+const PUBLIC_USER_FIELDS = "googleId name picture";
+
+// Whether the current user can see (and so react to) an entry
+const canSeeEntry = async (req, entry) => {
+  const filter = await visibilityFilter(req);
+  return !filter.userId || filter.userId.$in.includes(entry.userId);
+};
+
+// Send live clients an entry's updated reactions and comments
+const broadcastInteractions = (req, entry) =>
+  broadcastEntryEvent(req, "entry-interactions", {
+    _id: entry._id,
+    userId: entry.userId,
+    reactions: entry.reactions,
+    comments: entry.comments,
+  });
+
+// Stats scope: "me" limits to the current user's entries, "everyone" covers
+// everyone visible to them. Returns null for an unknown scope.
+const scopeFilter = async (req) => {
+  const { scope = "everyone" } = req.query;
+  switch (scope) {
+    case "me":
+      return { userId: req.session.user.googleId };
+    case "everyone":
+      return visibilityFilter(req);
+    default:
+      return null;
+  }
+};
+
+// Feed pagination cursors are "<timestamp ms>_<entry id>"
+const ENTRIES_PAGE_SIZE = 50;
+const MAX_ENTRIES_PAGE_SIZE = 100;
+
+const encodeEntryCursor = (entry) =>
+  `${new Date(entry.timestamp).getTime()}_${entry._id}`;
+
+const decodeEntryCursor = (cursor) => {
+  const [ms, id] = String(cursor).split("_");
+  const timestamp = new Date(Number(ms));
+  if (isNaN(timestamp.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  return { timestamp, id: new mongoose.Types.ObjectId(id) };
+};
+
+// CSV helpers for entry export/import
+const ENTRY_CSV_COLUMNS = [
+  "timestamp",
+  "drinkName",
+  "sizeName",
+  "caffeineMg",
+  "customDescription",
+  "isCustomDrink",
+  "volumeMl",
+];
+const MAX_IMPORT_ROWS = 5000;
+
+// Spreadsheet apps run text cells starting with these as formulas
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? "" : String(value);
+  // Quote user text that would be read as a formula; parsing strips it again
+  if (typeof value === "string" && CSV_FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Parse CSV text (RFC 4180 quoting) into an array of rows, each
+// { line, cells } with the file line the row starts on
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        // Quoted line breaks still count toward line numbers
+        if (char === "\n" || (char === "\r" && input[i + 1] !== "\n")) line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      cell = "";
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.cells.some((c) => c.trim()));
+};
+
+// Turn CSV rows (first row is the header) into objects keyed by column,
+// plus the file line of each object
+const csvRowsToObjects = (rows) => {
+  const [{ cells: header = [] } = {}, ...records] = rows;
+  const keys = header.map((h) => {
+    const match = ENTRY_CSV_COLUMNS.find(
+      (column) => column.toLowerCase() === h.trim().toLowerCase()
+    );
+    return match || h.trim();
+  });
+
+  // Undo the formula quoting added by csvCell
+  const unquote = (cell) =>
+    typeof cell === "string" &&
+    cell.startsWith("'") &&
+    CSV_FORMULA_PREFIX.test(cell.slice(1))
+      ? cell.slice(1)
+      : cell;
+
+  return {
+    objects: records.map(({ cells }) =>
+      Object.fromEntries(keys.map((key, i) => [key, unquote(cells[i])]))
+    ),
+    lines: records.map((record) => record.line),
+  };
+};
+
+// Whether a size variant was given a volume (an empty field counts as none)
+const hasVolume = (size) =>
+  size.volumeMl !== undefined && size.volumeMl !== null && size.volumeMl !== "";
+
+// Validate size variants from a drink type request body.
+// Returns an error message, or null when valid.
+const validateSizes = (sizes) => {
+  if (!sizes || !Array.isArray(sizes) || sizes.length === 0) {
+    return "At least one size variant is required";
+  }
+
+  for (const size of sizes) {
+    if (!size.name || !size.caffeineMg || size.caffeineMg <= 0) {
+      return "Each size must have a name and positive caffeine amount";
+    }
+  }
+
+  const names = sizes.map((size) => size.name.trim().toLowerCase());
+  if (names.length !== new Set(names).size) {
+    return "Size names must be unique";
+  }
+
+  for (const size of sizes) {
+    if (hasVolume(size) && !(parseFloat(size.volumeMl) > 0)) {
+      return `Volume for size ${size.name.trim()} must be a positive number`;
+    }
+  }
+
+  const upcs = [];
+  for (const size of sizes) {
+    if (!size.upc) continue;
+    const upc = normalizeUpc(size.upc);
+    if (!upc) {
+      return `Invalid UPC for size ${size.name.trim()}`;
+    }
+    upcs.push(upc);
+  }
+  if (upcs.length !== new Set(upcs).size) {
+    return "Each UPC can only be used by one size";
+  }
+
+  return null;
+};
+
+const normalizeSizes = (sizes) =>
+  sizes.map((size) => ({
+    name: size.name.trim(),
+    caffeineMg: parseFloat(size.caffeineMg),
+    ...(size.upc ? { upc: normalizeUpc(size.upc) } : {}),
+    ...(hasVolume(size) ? { volumeMl: parseFloat(size.volumeMl) } : {}),
+  }));
+
+// Volume in ml from a size label like "8.4oz can" or "500 ml bottle", or
+// undefined if it doesn't give one
+const ML_PER_FL_OZ = 29.5735;
+
+const volumeFromLabel = (label) => {
+  const match = /(\d+(?:\.\d+)?)\s*(fl\.?\s*oz|oz|ml)\b/i.exec(label);
+  if (!match) return undefined;
+  const amount = parseFloat(match[1]);
+  return match[2].toLowerCase() === "ml"
+    ? amount
+    : Math.round(amount * ML_PER_FL_OZ);
+};
+
+// GS1 check digit for a code given without its check digit
+const gtinCheckDigit = (digits) => {
+  const sum = [...digits]
+    .reverse()
+    .reduce((total, digit, i) => total + Number(digit) * (i % 2 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+// Expand an 8-digit UPC-E code (number system 0 or 1, six digits, check
+// digit) to its 12-digit UPC-A form. Returns null if the code isn't a valid
+// UPC-E, in which case it's treated as EAN-8.
+const expandUpcE = (code) => {
+  if (!/^[01]\d{7}$/.test(code)) return null;
+
+  const [d1, d2, d3, d4, d5, d6] = code.slice(1, 7);
+  let body;
+  if (d6 <= "2") body = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+  else if (d6 === "3") body = `${d1}${d2}${d3}00000${d4}${d5}`;
+  else if (d6 === "4") body = `${d1}${d2}${d3}${d4}00000${d5}`;
+  else body = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+
+  const upcA = `${code[0]}${body}`;
+  return gtinCheckDigit(upcA) === code[7] ? upcA + code[7] : null;
+};
+
+// UPC-A, UPC-E, EAN-8 and EAN-13 codes are all stored as a 14-digit GTIN:
+// UPC-E is expanded to UPC-A, then codes are zero-padded, so a can scanned
+// as EAN-13 or UPC-E matches one typed in as UPC-A.
+// Returns null for anything that isn't 8-14 digits.
+const normalizeUpc = (value) => {
+  const digits = String(value || "").replace(/[\s-]/g, "");
+  if (!/^\d{8,14}$/.test(digits)) return null;
+  const expanded = digits.length === 8 ? expandUpcE(digits) : null;
+  return (expanded || digits).padStart(14, "0");
+};
+
+// Find a live drink type (other than excludeId) already using one of these
+// sizes' UPCs
+const findUpcConflict = (sizes, excludeId = null) => {
+  const upcs = sizes.filter((size) => size.upc).map((size) => size.upc);
+  if (upcs.length === 0) return null;
+
+  return DrinkType.findOne({
+    deleted: { $ne: true },
+    "sizes.upc": { $in: upcs },
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+  });
+};
+
+// Bundled product catalog used for barcode lookups. Set PRODUCT_CATALOG_PATH
+// to use a different JSON file with the same shape:
+// [{ upc, name, size, caffeineMg, category }]
+const PRODUCT_CATALOG_PATH =
+  process.env.PRODUCT_CATALOG_PATH ||
+  path.join(__dirname, "data", "product-catalog.json");
+
+const loadProductCatalog = (file) => {
+  const catalog = new Map();
+
+  try {
+    const products = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const product of products) {
+      const upc = normalizeUpc(product.upc);
+      if (!upc || !product.name || !product.size || !(product.caffeineMg > 0)) {
+        console.warn(`Skipping invalid catalog product: ${product.upc}`);
+        continue;
+      }
+      catalog.set(upc, {
+        upc,
+        name: String(product.name).trim(),
+        size: String(product.size).trim(),
+        volumeMl: volumeFromLabel(String(product.size)),
+        caffeineMg: parseFloat(product.caffeineMg),
+        category: DRINK_CATEGORIES.includes(product.category)
+          ? product.category
+          : "other",
+      });
+    }
+    console.log(`Loaded ${catalog.size} products from ${file}`);
+  } catch (error) {
+    console.error("Error loading product catalog:", error);
+  }
+
+  return catalog;
+};
+
+const productCatalog = loadProductCatalog(PRODUCT_CATALOG_PATH);
+
+// Tags arrive as an array or a comma-separated string
+const normalizeTags = (tags) =>
+  [
+    ...new Set(
+      (Array.isArray(tags) ? tags : String(tags || "").split(","))
+        .map((tag) => String(tag).trim().toLowerCase())
+        .filter(Boolean)
+    ),
+  ].slice(0, 10);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const revisionFor = (action, user, changes = {}) => ({
+  action,
+  userId: user.googleId,
+  userName: user.name,
+  changes,
+});
+
+// 8-character invite code without easily confused characters
+const INVITE_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+const generateInviteCode = async () => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = Array.from(
+      crypto.randomBytes(8),
+      (b) => INVITE_CODE_ALPHABET[b % INVITE_CODE_ALPHABET.length]
+    ).join("");
+    if (!(await Group.exists({ inviteCode: code }))) return code;
+  }
+  throw new Error("Could not generate a unique invite code");
+};
+
+const groupResponse = (group) => ({
+  _id: group._id,
+  name: group.name,
+  inviteCode: group.inviteCode,
+  memberCount: group.members.length,
+  createdBy: group.createdBy,
+  createdAt: group.createdAt,
+});
+
+// Server-Sent Events. Each connected tab is { res, googleId, clientId };
+// clientId lets a tab skip events about its own changes, which it has
+// already applied (it sends the same id as an X-Client-Id header).
+const eventClients = new Set();
+const EVENT_HEARTBEAT_MS = 1000 * 25;
+
+const sendEvent = (client, type, data) => {
+  client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// req is null for changes made by the server itself, which go to every tab.
+// Only the requesting user's own tab is skipped, so a client id sent by
+// someone else can't silence another user's tab.
+const eventRecipients = (req) => {
+  const clientId = req && req.get("X-Client-Id");
+  const googleId = req && req.session.user && req.session.user.googleId;
+  return [...eventClients].filter(
+    (client) =>
+      !clientId || client.clientId !== clientId || client.googleId !== googleId
+  );
+};
+
+// Send to every connected user
+const broadcastEvent = (req, type, data) => {
+  eventRecipients(req).forEach((client) => sendEvent(client, type, data));
+};
+
+// Send an entry event to the users who can see the entry's author, using
+// the same rules as visibilityFilter
+const broadcastEntryEvent = async (req, type, entry) => {
+  try {
+    const clients = eventRecipients(req);
+    if (clients.length === 0) return;
+
+    const users = await User.find({
+      googleId: { $in: [...new Set(clients.map((c) => c.googleId))] },
+    }).select("googleId activeGroupId");
+    const groups = await Group.find({
+      _id: { $in: users.map((u) => u.activeGroupId).filter(Boolean) },
+    }).select("members.userId");
+
+    const membersByGroup = new Map(
+      groups.map((g) => [String(g._id), g.members.map((m) => m.userId)])
+    );
+    const canSee = new Set(
+      users
+        .filter((u) => {
+          const members =
+            u.activeGroupId && membersByGroup.get(String(u.activeGroupId));
+          if (!members || !members.includes(u.googleId)) return true;
+          return members.includes(entry.userId);
+        })
+        .map((u) => u.googleId)
+    );
+
+    clients
+      .filter((client) => canSee.has(client.googleId))
+      .forEach((client) => sendEvent(client, type, entry));
+  } catch (error) {
+    console.error("Error broadcasting entry event:", error);
+  }
+};
+
+const drinkTypeEvent = (action, drink) => {
+  const { revisions, ...drinkType } = drink.toObject();
+  return { action, drinkType };
+};
+
+// Auth Routes
+
+// Google OAuth verification
+app.post("/api/auth/google", async (req, res) => {
+  try {
+    const { token, timezone } = req.body;
+    // Browser-detected IANA timezone, only used the first time we see it
+    const detectedTimezone =
+      timezone && isValidTimezone(timezone) ? timezone : undefined;
+
+    const ticket = await client.verifyIdToken({
+      idToken: token,
+      audience: GOOGLE_CLIENT_ID,
+    });
+
+    const payload = ticket.getPayload();
+    const { sub: googleId, email, name, picture } = payload;
+
+    // Find or create user
+    let user = await User.findOne({ googleId });
+
+    if (!user) {
+      user = new User({
+        googleId,
+        email,
+        name,
+        picture,
+        timezone: detectedTimezone,
+        role: ADMIN_EMAILS.includes(email.toLowerCase()) ? "admin" : "member",
+        lastLoginAt: new Date(),
+      });
+      await user.save();
+      console.log(`New user created: ${email}`);
+    } else {
+      // Update last login
+      user.lastLoginAt = new Date();
+      if (user.picture !== picture) {
+        user.picture = picture;
+      }
+      if (!user.timezone && detectedTimezone) {
+        user.timezone = detectedTimezone;
+      }
+      if (ADMIN_EMAILS.includes(email.toLowerCase())) {
+        user.role = "admin";
+      }
+      await user.save();
+      console.log(`User logged in: ${email}`);
+    }
+
+    // Store user in session
+    req.session.user = {
+      googleId: user.googleId,
+      email: user.email,
+      name: user.name,
+      picture: user.picture,
+      role: user.role,
+    };
+
+    res.json({
+      success: true,
+      user: req.session.user,
     });
+  } catch (error) {
+    console.error("Google auth error:"), error;
+    res.status(400).json({ error: "Invalid token" });
+  }
+});
+
+// Check authentication status
+app.get("/api/auth/check", async (req, res) => {
+  if (!req.session.user) {
+    return res.status(401).json({ error: "Not authenticated" });
+  }
+
+  try {
+    // Refresh the role in case it changed since sign-in
+    const user = await User.findOne({ googleId: req.session.user.googleId });
+    if (user) {
+      req.session.user.role = user.role;
+    }
+    res.json(req.session.user);
+  } catch (error) {
+    console.error("Error checking auth:", error);
+    res.json(req.session.user);
+  }
+});
+
+// Logout
+app.post("/api/auth/logout", (req, res) => {
+  req.session.destroy((err) => {
+    if (err) {
+      console.error("Failed to logout", err);
+      return res.status(500).json({ error: "Failed to logout" });
+    }
+    res.clearCookie("connect.sid");
+    res.json({ success: true });
+    console.log("User logged out");
+  });
+});
+
+// Protected Routes (require authentication)
+
+// Get current user's settings
+app.get("/api/settings", requireAuth, async (req, res) => {
+  try {
+    const user = await User.findOne({ googleId: req.session.user.googleId });
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json(settingsResponse(user));
+  } catch (error) {
+    console.error("Error fetching settings:", error);
+    res.status(500).json({ error: "Failed to fetch settings" });
+  }
+});
+
+// Update current user's settings
+app.put("/api/settings", requireAuth, async (req, res) => {
+  try {
+    const {
+      timezone,
+      halfLifeHours,
+      dailyLimitMg,
+      singleDoseLimitMg,
+      bedtime,
+      caffeineCutoff,
+      units,
+    } = req.body;
+    const user = await User.findOne({ googleId: req.session.user.googleId });
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (timezone !== undefined) {
+      if (!isValidTimezone(timezone)) {
+        return res.status(400).json({ error: "Invalid timezone" });
+      }
+      user.timezone = timezone;
+    }
+
+    if (halfLifeHours !== undefined) {
+      const hours = parseFloat(halfLifeHours);
+      if (
+        isNaN(hours) ||
+        hours < MIN_HALF_LIFE_HOURS ||
+        hours > MAX_HALF_LIFE_HOURS
+      ) {
+        return res.status(400).json({
+          error: `Half-life must be between ${MIN_HALF_LIFE_HOURS} and ${MAX_HALF_LIFE_HOURS} hours`,
+        });
+      }
+      user.halfLifeHours = hours;
+    }
+
+    if (dailyLimitMg !== undefined) {
+      const limit = parseFloat(dailyLimitMg);
+      if (isNaN(limit) || limit <= 0) {
+        return res
+          .status(400)
+          .json({ error: "Daily limit must be a positive number" });
+      }
+      user.dailyLimitMg = limit;
+    }
+
+    if (singleDoseLimitMg !== undefined) {
+      const limit = parseFloat(singleDoseLimitMg);
+      if (isNaN(limit) || limit <= 0) {
+        return res
+          .status(400)
+          .json({ error: "Single-dose limit must be a positive number" });
+      }
+      user.singleDoseLimitMg = limit;
+    }
+
+    if (units !== undefined) {
+      if (units !== "metric" && units !== "imperial") {
+        return res
+          .status(400)
+          .json({ error: "Units must be metric or imperial" });
+      }
+      user.units = units;
+    }
+
+    if (bedtime !== undefined) {
+      if (parseClockTime(bedtime) === null) {
+        return res.status(400).json({ error: "Bedtime must be HH:MM" });
+      }
+      user.bedtime = bedtime;
+    }
+
+    if (caffeineCutoff !== undefined) {
+      if (parseClockTime(caffeineCutoff) === null) {
+        return res.status(400).json({ error: "Caffeine cutoff must be HH:MM" });
+      }
+      user.caffeineCutoff = caffeineCutoff;
+    }
+
+    // Minutes from the cutoff forward to bedtime, so a bedtime after
+    // midnight counts as the next day
+    const cutoffLead =
+      (parseClockTime(user.bedtime) -
+        parseClockTime(user.caffeineCutoff) +
+        MINUTES_PER_DAY) %
+      MINUTES_PER_DAY;
+    if (cutoffLead === 0 || cutoffLead > MAX_CUTOFF_LEAD_MINUTES) {
+      return res.status(400).json({
+        error: `Caffeine cutoff must be before bedtime, at most ${
+          MAX_CUTOFF_LEAD_MINUTES / 60
+        } hours earlier`,
+      });
+    }
+
+    await user.save();
+    res.json(settingsResponse(user));
+  } catch (error) {
+    console.error("Error updating settings:", error);
+    res.status(500).json({ error: "Failed to update settings" });
+  }
+});
+
+// User & Role Routes
+
+// List users and their roles (moderators and admins)
+app.get("/api/users", requireRole("admin", "moderator"), async (req, res) => {
+  try {
+    const users = await User.find({}, "googleId name email picture role").sort({
+      name: 1,
+    });
+    res.json(users);
+  } catch (error) {
+    console.error("Error fetching users:", error);
+    res.status(500).json({ error: "Failed to fetch users" });
+  }
+});
+
+// Change a user's role (admins only)
+app.put("/api/users/:id/role", requireRole("admin"), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!["admin", "moderator", "member"].includes(role)) {
+      return res.status(400).json({ error: "Invalid role" });
+    }
+
+    if (req.params.id === req.user.googleId && role !== "admin") {
+      return res.status(400).json({ error: "You can't demote yourself" });
+    }
+
+    const target = await User.findOne({ googleId: req.params.id });
+    if (!target) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    target.role = role;
+    await target.save();
+
+    res.json({ googleId: target.googleId, name: target.name, role });
+    console.log(`Role changed: ${req.user.name} made ${target.name} ${role}`);
+  } catch (error) {
+    console.error("Error changing role:", error);
+    res.status(500).json({ error: "Failed to change role" });
+  }
+});
+
+// Find users to follow by name
+app.get("/api/users/search", requireAuth, async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    if (!q) {
+      return res.json([]);
+    }
+
+    const users = await User.find({
+      name: new RegExp(escapeRegex(q), "i"),
+      googleId: { $ne: req.session.user.googleId },
+    })
+      .select(PUBLIC_USER_FIELDS)
+      .sort({ name: 1 })
+      .limit(20);
+    res.json(users);
+  } catch (error) {
+    console.error("Error searching users:", error);
+    res.status(500).json({ error: "Failed to search users" });
+  }
+});
+
+// Users that :id follows
+app.get("/api/users/:id/following", requireAuth, async (req, res) => {
+  try {
+    const user = await User.findOne({ googleId: req.params.id }).select(
+      "following"
+    );
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const following = await User.find({
+      googleId: { $in: user.following },
+    })
+      .select(PUBLIC_USER_FIELDS)
+      .sort({ name: 1 });
+    res.json(following);
+  } catch (error) {
+    console.error("Error fetching following:", error);
+    res.status(500).json({ error: "Failed to fetch following" });
+  }
+});
+
+// Users that follow :id
+app.get("/api/users/:id/followers", requireAuth, async (req, res) => {
+  try {
+    if (!(await User.exists({ googleId: req.params.id }))) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const followers = await User.find({ following: req.params.id })
+      .select(PUBLIC_USER_FIELDS)
+      .sort({ name: 1 });
+    res.json(followers);
+  } catch (error) {
+    console.error("Error fetching followers:", error);
+    res.status(500).json({ error: "Failed to fetch followers" });
+  }
+});
+
+// Profile with lifetime stats, favorite drinks, a chart and recent entries.
+// Only users visible to the viewer (see visibilityFilter) have profiles.
+// Days are counted in the profile owner's timezone for both stats and chart.
+app.get("/api/users/:id/profile", requireAuth, async (req, res) => {
+  try {
+    const { period = "month" } = req.query;
+    const viewerId = req.session.user.googleId;
+
+    const user = await User.findOne({ googleId: req.params.id });
+    if (!user || !(await canSeeEntry(req, { userId: user.googleId }))) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const userFilter = { userId: user.googleId };
+    const timeZone = userTimezone(user);
+    const [stats, favoriteDrinks, chart, recentEntries, followerCount] =
+      await Promise.all([
+        achievementStats(user),
+        CaffeineEntry.aggregate([
+          { $match: userFilter },
+          {
+            $group: {
+              _id: "$drinkName",
+              count: { $sum: 1 },
+              totalMg: { $sum: "$caffeineMg" },
+            },
+          },
+          { $sort: { count: -1, totalMg: -1 } },
+          { $limit: 5 },
+          { $project: { _id: 0, drinkName: "$_id", count: 1, totalMg: 1 } },
+        ]),
+        buildChartSeries(userFilter, period, timeZone),
+        CaffeineEntry.find(userFilter)
+          .select("-reactions -comments")
+          .sort({ timestamp: -1 })
+          .limit(10),
+        User.countDocuments({ following: user.googleId }),
+      ]);
+
+    if (!chart) {
+      return res.status(400).json({ error: "Invalid period" });
+    }
+
+    // Average over every calendar day since the first entry, logged or not
+    const today = calendarDate(new Date(), timeZone);
+    const dayCount = stats.firstDay
+      ? Math.round((today - stats.firstDay) / DAY_MS) + 1
+      : 0;
+
+    res.json({
+      user: {
+        googleId: user.googleId,
+        name: user.name,
+        picture: user.picture,
+        createdAt: user.createdAt,
+      },
+      isSelf: user.googleId === viewerId,
+      followerCount,
+      followingCount: user.following.length,
+      badges: userBadges(user),
+      stats: {
+        totalMg: stats.totalMg,
+        entryCount: stats.entryCount,
+        dailyAverageMg: dayCount ? stats.totalMg / dayCount : 0,
+        longestStreak: stats.longestStreak,
+        currentStreak: stats.currentStreak,
+      },
+      favoriteDrinks,
+      chart,
+      recentEntries,
+    });
+  } catch (error) {
+    console.error("Error fetching profile:", error);
+    res.status(500).json({ error: "Failed to fetch profile" });
+  }
+});
+
+// Follow a user
+app.post("/api/users/:id/follow", requireAuth, async (req, res) => {
+  try {
+    const { googleId } = req.session.user;
+    const targetId = req.params.id;
+
+    if (targetId === googleId) {
+      return res.status(400).json({ error: "You can't follow yourself" });
+    }
+
+    const target = await User.findOne({ googleId: targetId }).select(
+      PUBLIC_USER_FIELDS
+    );
+    if (!target) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await User.updateOne({ googleId }, { $addToSet: { following: targetId } });
+
+    res.json(target);
+    console.log(`Follow: ${req.session.user.name} followed ${target.name}`);
+  } catch (error) {
+    console.error("Error following user:", error);
+    res.status(500).json({ error: "Failed to follow user" });
+  }
+});
+
+// Unfollow a user
+app.delete("/api/users/:id/follow", requireAuth, async (req, res) => {
+  try {
+    await User.updateOne(
+      { googleId: req.session.user.googleId },
+      { $pull: { following: req.params.id } }
+    );
+    res.json({ message: "Unfollowed" });
+  } catch (error) {
+    console.error("Error unfollowing user:", error);
+    res.status(500).json({ error: "Failed to unfollow user" });
+  }
+});
+
+// Group Routes
+
+// List the current user's groups
+app.get("/api/groups", requireAuth, async (req, res) => {
+  try {
+    const { googleId } = req.session.user;
+    const [user, groups] = await Promise.all([
+      User.findOne({ googleId }),
+      Group.find({ "members.userId": googleId }).sort({ name: 1 }),
+    ]);
+
+    res.json({
+      activeGroupId: user ? user.activeGroupId : null,
+      groups: groups.map(groupResponse),
+    });
+  } catch (error) {
+    console.error("Error fetching groups:", error);
+    res.status(500).json({ error: "Failed to fetch groups" });
+  }
+});
+
+// Create a group (the creator joins it and makes it active)
+app.post("/api/groups", requireAuth, async (req, res) => {
+  try {
+    const { name } = req.body;
+    const sessionUser = req.session.user;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: "Group name is required" });
+    }
+
+    const group = new Group({
+      name: name.trim(),
+      inviteCode: await generateInviteCode(),
+      createdBy: sessionUser.googleId,
+      members: [
+        {
+          userId: sessionUser.googleId,
+          userName: sessionUser.name,
+          userAvatar: sessionUser.picture,
+        },
+      ],
+    });
+    const savedGroup = await group.save();
+
+    await User.updateOne(
+      { googleId: sessionUser.googleId },
+      { activeGroupId: savedGroup._id }
+    );
+
+    res.status(201).json(groupResponse(savedGroup));
+    console.log(
+      `Group created: ${sessionUser.name} created ${savedGroup.name}`
+    );
+  } catch (error) {
+    console.error("Error creating group:", error);
+    res.status(500).json({ error: "Failed to create group" });
+  }
+});
+
+// Join a group by invite code (and make it active)
+app.post("/api/groups/join", requireAuth, async (req, res) => {
+  try {
+    const { inviteCode } = req.body;
+    const sessionUser = req.session.user;
+
+    if (!inviteCode || !inviteCode.trim()) {
+      return res.status(400).json({ error: "Invite code is required" });
+    }
+
+    const group = await Group.findOne({
+      inviteCode: inviteCode.trim().toUpperCase(),
+    });
+    if (!group) {
+      return res.status(404).json({ error: "Invalid invite code" });
+    }
+
+    if (group.members.some((m) => m.userId === sessionUser.googleId)) {
+      return res.status(400).json({ error: "Already a member of this group" });
+    }
+
+    group.members.push({
+      userId: sessionUser.googleId,
+      userName: sessionUser.name,
+      userAvatar: sessionUser.picture,
+    });
+    await group.save();
+
+    await User.updateOne(
+      { googleId: sessionUser.googleId },
+      { activeGroupId: group._id }
+    );
+
+    res.json(groupResponse(group));
+    console.log(`Group joined: ${sessionUser.name} joined ${group.name}`);
+  } catch (error) {
+    console.error("Error joining group:", error);
+    res.status(500).json({ error: "Failed to join group" });
+  }
+});
+
+// Set (or clear, with groupId null) the user's active group
+app.put("/api/groups/active", requireAuth, async (req, res) => {
+  try {
+    const { groupId } = req.body;
+    const { googleId } = req.session.user;
+
+    if (groupId) {
+      if (!mongoose.Types.ObjectId.isValid(groupId)) {
+        return res.status(404).json({ error: "Group not found" });
+      }
+      const group = await Group.findById(groupId);
+      if (!group) {
+        return res.status(404).json({ error: "Group not found" });
+      }
+      if (!group.members.some((m) => m.userId === googleId)) {
+        return res.status(403).json({ error: "Not a member of this group" });
+      }
+    }
+
+    await User.updateOne({ googleId }, { activeGroupId: groupId || null });
+    res.json({ activeGroupId: groupId || null });
+  } catch (error) {
+    console.error("Error setting active group:", error);
+    res.status(500).json({ error: "Failed to set active group" });
+  }
+});
+
+// Leave a group (the group is removed once its last member leaves)
+app.post("/api/groups/:id/leave", requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const sessionUser = req.session.user;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    const group = await Group.findById(id);
+    if (!group) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    if (!group.members.some((m) => m.userId === sessionUser.googleId)) {
+      return res.status(400).json({ error: "Not a member of this group" });
+    }
+
+    group.members = group.members.filter(
+      (m) => m.userId !== sessionUser.googleId
+    );
+    if (group.members.length === 0) {
+      await Group.findByIdAndDelete(id);
+    } else {
+      await group.save();
+    }
+
+    await User.updateOne(
+      { googleId: sessionUser.googleId, activeGroupId: group._id },
+      { activeGroupId: null }
+    );
+
+    res.json({ message: `Left group "${group.name}"` });
+    console.log(`Group left: ${sessionUser.name} left ${group.name}`);
+  } catch (error) {
+    console.error("Error leaving group:", error);
+    res.status(500).json({ error: "Failed to leave group" });
+  }
+});
+
+// List a group's members (members only)
+app.get("/api/groups/:id/members", requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    const group = await Group.findById(id);
+    if (!group) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    if (!group.members.some((m) => m.userId === req.session.user.googleId)) {
+      return res.status(403).json({ error: "Not a member of this group" });
+    }
+
+    res.json(group.members);
+  } catch (error) {
+    console.error("Error fetching group members:", error);
+    res.status(500).json({ error: "Failed to fetch group members" });
+  }
+});
+
+// Get all drink types
+app.get("/api/types", requireAuth, async (req, res) => {
+  try {
+    const types = await DrinkType.find({ deleted: false })
+      .select("-revisions")
+      .sort({ name: 1 });
+    res.json(types);
+  } catch (error) {
+    console.error("Error fetching drink types:", error);
+    res.status(500).json({ error: "Failed to fetch drink types" });
+  }
+});
+
+// Search drink types by name or tag, optionally within a category
+app.get("/api/types/search", requireAuth, async (req, res) => {
+  try {
+    const { q = "", category } = req.query;
+    const filter = { deleted: false };
+
+    if (category) {
+      if (!DRINK_CATEGORIES.includes(category)) {
+        return res.status(400).json({ error: "Invalid category" });
+      }
+      filter.category = category;
+    }
+
+    const query = String(q).trim();
+    if (query) {
+      const pattern = new RegExp(escapeRegex(query), "i");
+      filter.$or = [{ name: pattern }, { tags: pattern }];
+    }
+
+    const types = await DrinkType.find(filter)
+      .select("-revisions")
+      .sort({ name: 1 })
+      .limit(100);
+    res.json(types);
+  } catch (error) {
+    console.error("Error searching drink types:", error);
+    res.status(500).json({ error: "Failed to search drink types" });
+  }
+});
+
+// The current user's favorite drink types
+app.get("/api/types/favorites", requireAuth, loadUser, async (req, res) => {
+  try {
+    const types = await DrinkType.find({
+      _id: { $in: req.user.favoriteTypeIds },
+      deleted: false,
+    })
+      .select("-revisions")
+      .sort({ name: 1 });
+    res.json(types);
+  } catch (error) {
+    console.error("Error fetching favorite drink types:", error);
+    res.status(500).json({ error: "Failed to fetch favorite drink types" });
+  }
+});
+
+// A user's most recently logged drinks that still exist in the catalog,
+// with the size they last had
+const recentDrinks = async (userId, limit) => {
+  const recent = await CaffeineEntry.aggregate([
+    // Custom amounts aren't sizes that can be picked again
+    { $match: { userId, isCustomDrink: { $ne: true } } },
+    { $sort: { timestamp: -1 } },
+    {
+      $group: {
+        _id: "$drinkName",
+        sizeName: { $first: "$sizeName" },
+        lastLoggedAt: { $first: "$timestamp" },
+      },
+    },
+    { $sort: { lastLoggedAt: -1 } },
+    { $limit: 20 },
+  ]);
+
+  const types = await DrinkType.find({
+    name: { $in: recent.map((r) => r._id) },
+    deleted: false,
+  }).select("-revisions");
+  const typesByName = new Map(types.map((type) => [type.name, type]));
+
+  return recent
+    .filter((r) => typesByName.has(r._id))
+    .slice(0, limit)
+    .map((r) => ({
+      type: typesByName.get(r._id),
+      sizeName: r.sizeName,
+      lastLoggedAt: r.lastLoggedAt,
+    }));
+};
+
+// Drinks the current user logged most recently, built from their entries
+app.get("/api/types/recent", requireAuth, async (req, res) => {
+  try {
+    res.json(await recentDrinks(req.session.user.googleId, 8));
+  } catch (error) {
+    console.error("Error fetching recent drink types:", error);
+    res.status(500).json({ error: "Failed to fetch recent drink types" });
+  }
+});
+
+// Add or remove a drink type from the current user's favorites
+app.post("/api/types/:id/favorite", requireAuth, loadUser, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: "Drink type not found" });
+    }
+    const drink = await DrinkType.findById(req.params.id);
+    if (!drink || drink.deleted) {
+      return res.status(404).json({ error: "Drink type not found" });
+    }
+
+    if (!req.user.favoriteTypeIds.some((id) => id.equals(drink._id))) {
+      req.user.favoriteTypeIds.push(drink._id);
+      await req.user.save();
+    }
+
+    res.json({ favoriteTypeIds: req.user.favoriteTypeIds });
+  } catch (error) {
+    console.error("Error adding favorite:", error);
+    res.status(500).json({ error: "Failed to add favorite" });
+  }
+});
+
+app.delete(
+  "/api/types/:id/favorite",
+  requireAuth,
+  loadUser,
+  async (req, res) => {
+    try {
+      req.user.favoriteTypeIds = req.user.favoriteTypeIds.filter(
+        (id) => id.toString() !== req.params.id
+      );
+      await req.user.save();
+
+      res.json({ favoriteTypeIds: req.user.favoriteTypeIds });
+    } catch (error) {
+      console.error("Error removing favorite:", error);
+      res.status(500).json({ error: "Failed to remove favorite" });
+    }
+  }
+);
+
+// Add new drink type with sizes
+app.post("/api/types", requireAuth, async (req, res) => {
+  try {
+    const { name, imageUrl, sizes, category, tags } = req.body;
+    const user = req.session.user;
+
+    if (!name || !sizes || !Array.isArray(sizes) || sizes.length === 0) {
+      return res.status(400).json({
+        error: "Name and at least one size variant are required",
+      });
+    }
+
+    const sizeError = validateSizes(sizes);
+    if (sizeError) {
+      return res.status(400).json({ error: sizeError });
+    }
+
+    if (category && !DRINK_CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: "Invalid category" });
+    }
+
+    const existingType = await DrinkType.findOne({ name: name.trim() });
+    if (existingType) {
+      return res.status(400).json({ error: "Drink type already exists" });
+    }
+
+    const upcConflict = await findUpcConflict(normalizeSizes(sizes));
+    if (upcConflict) {
+      return res
+        .status(400)
+        .json({ error: `UPC is already used by ${upcConflict.name}` });
+    }
+
+    const newType = new DrinkType({
+      name: name.trim(),
+      imageUrl: imageUrl ? imageUrl.trim() : "/images/noImage.png",
+      sizes: normalizeSizes(sizes),
+      category: category || "other",
+      tags: normalizeTags(tags),
+      createdBy: { userId: user.googleId, userName: user.name },
+      revisions: [revisionFor("created", user)],
+    });
+
+    const savedType = await newType.save();
+    res.status(201).json(savedType);
+    broadcastEvent(
+      req,
+      "drink-type-changed",
+      drinkTypeEvent("created", savedType)
+    );
+    console.log(`New drink type added: ${user.name} added ${savedType.name}`);
+  } catch (error) {
+    console.error("Error saving drink type:", error);
+    res.status(500).json({ error: "Failed to save drink type" });
+  }
+});
+
+// Look up a scanned barcode: drink library first, then the product catalog
+app.get("/api/upc/:code", requireAuth, async (req, res) => {
+  try {
+    const upc = normalizeUpc(req.params.code);
+    if (!upc) {
+      return res.status(400).json({ error: "Invalid UPC" });
+    }
+
+    const drinkType = await DrinkType.findOne({
+      deleted: { $ne: true },
+      "sizes.upc": upc,
+    }).select("-revisions");
+
+    if (drinkType) {
+      const size = drinkType.sizes.find((s) => s.upc === upc);
+      return res.json({ source: "library", drinkType, sizeName: size.name });
+    }
+
+    const product = productCatalog.get(upc);
+    if (product) {
+      return res.json({ source: "catalog", product });
+    }
+
+    res.status(404).json({ error: "No product found for this barcode" });
+  } catch (error) {
+    console.error("Error looking up UPC:", error);
+    res.status(500).json({ error: "Failed to look up barcode" });
+  }
+});
+
+// Add a catalog product to the drink library, either as a new drink type or
+// as a size on the existing drink type with the same name. Changing an
+// existing drink needs the same rights as editing it.
+app.post("/api/upc/:code/import", requireAuth, loadUser, async (req, res) => {
+  try {
+    const upc = normalizeUpc(req.params.code);
+    const product = upc && productCatalog.get(upc);
+    if (!product) {
+      return res.status(404).json({ error: "Product not found in catalog" });
+    }
+
+    const user = req.session.user;
+
+    const upcConflict = await findUpcConflict([{ upc }]);
+    if (upcConflict) {
+      const size = upcConflict.sizes.find((s) => s.upc === upc);
+      return res.json({ drinkType: upcConflict, sizeName: size.name });
+    }
+
+    let drinkType = await DrinkType.findOne({
+      name: new RegExp(`^${escapeRegex(product.name)}$`, "i"),
+    });
+
+    if (drinkType && drinkType.deleted) {
+      return res.status(400).json({
+        error: `${drinkType.name} was deleted. Restore it before importing.`,
+      });
+    }
+
+    if (drinkType && !canManageDrinkType(req.user, drinkType)) {
+      return res.status(403).json({
+        error: `Not authorized to add sizes to ${drinkType.name}. Ask its creator or a moderator.`,
+      });
+    }
+
+    const isNew = !drinkType;
+    if (isNew) {
+      drinkType = new DrinkType({
+        name: product.name,
+        sizes: [
+          {
+            name: product.size,
+            caffeineMg: product.caffeineMg,
+            upc,
+            volumeMl: product.volumeMl,
+          },
+        ],
+        category: product.category,
+        createdBy: { userId: user.googleId, userName: user.name },
+        revisions: [revisionFor("created", user)],
+      });
+    } else {
+      const oldSizes = normalizeSizes(drinkType.sizes);
+      const existingSize = drinkType.sizes.find(
+        (s) => s.name.toLowerCase() === product.size.toLowerCase()
+      );
+
+      if (existingSize) {
+        existingSize.upc = upc;
+        if (!existingSize.volumeMl) existingSize.volumeMl = product.volumeMl;
+      } else {
+        drinkType.sizes.push({
+          name: product.size,
+          caffeineMg: product.caffeineMg,
+          upc,
+          volumeMl: product.volumeMl,
+        });
+      }
+
+      drinkType.revisions.push(
+        revisionFor("updated", user, {
+          sizes: { from: oldSizes, to: normalizeSizes(drinkType.sizes) },
+        })
+      );
+    }
+
+    await drinkType.save();
+
+    const size = drinkType.sizes.find((s) => s.upc === upc);
+    res.status(201).json({ drinkType, sizeName: size.name });
+    broadcastEvent(
+      req,
+      "drink-type-changed",
+      drinkTypeEvent(isNew ? "created" : "updated", drinkType)
+    );
+    console.log(
+      `Catalog product imported: ${user.name} added ${size.name} ${drinkType.name}`
+    );
+  } catch (error) {
+    console.error("Error importing catalog product:", error);
+    res.status(500).json({ error: "Failed to import product" });
+  }
+});
+
+// Live updates: entry-created, entry-updated, entry-deleted and
+// drink-type-changed events
+app.get("/api/events", requireAuth, (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  const client = {
+    res,
+    googleId: req.session.user.googleId,
+    clientId: String(req.query.clientId || ""),
+  };
+  eventClients.add(client);
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(
+    () => res.write(": ping\n\n"),
+    EVENT_HEARTBEAT_MS
+  );
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    eventClients.delete(client);
+  });
+});
+
+// Get a page of caffeine entries visible to the user, newest first.
+// Pass the returned nextCursor as ?cursor= to fetch the following page.
+app.get("/api/entries", requireAuth, async (req, res) => {
+  try {
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || ENTRIES_PAGE_SIZE, 1),
+      MAX_ENTRIES_PAGE_SIZE
+    );
+
+    const filter = await audienceFilter(req);
+    if (!filter) {
+      return res.status(400).json({ error: "Invalid audience" });
+    }
+    if (req.query.cursor) {
+      const cursor = decodeEntryCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: "Invalid cursor" });
+      }
+      // Strictly after the cursor in (timestamp, _id) descending order
+      filter.$or = [
+        { timestamp: { $lt: cursor.timestamp } },
+        { timestamp: cursor.timestamp, _id: { $lt: cursor.id } },
+      ];
+    }
+
+    // Fetch one extra to know whether another page exists
+    const entries = await CaffeineEntry.find(filter)
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = entries.length > limit;
+    const page = entries.slice(0, limit);
+
+    res.json({
+      entries: page,
+      nextCursor: hasMore ? encodeEntryCursor(page[page.length - 1]) : null,
+    });
+  } catch (error) {
+    console.error("Error fetching entries:", error);
+    res.status(500).json({ error: "Failed to fetch entries" });
+  }
+});
+
+// Add new caffeine entry
+app.post("/api/entries", requireAuth, async (req, res) => {
+  try {
+    const {
+      drinkName,
+      sizeName,
+      caffeineMg,
+      customDescription,
+      isCustomDrink,
+      timestamp,
+      volumeMl,
+      clientEntryId,
+    } = req.body;
+
+    if (!drinkName || !sizeName || !caffeineMg || caffeineMg <= 0) {
+      return res.status(400).json({
+        error:
+          "Drink name, size name, and positive caffeine amount are required",
+      });
+    }
+
+    if (volumeMl !== undefined && volumeMl !== null && !(volumeMl > 0)) {
+      return res
+        .status(400)
+        .json({ error: "Volume must be a positive number" });
+    }
+
+    if (
+      clientEntryId !== undefined &&
+      (typeof clientEntryId !== "string" ||
+        !/^[\w-]{1,64}$/.test(clientEntryId))
+    ) {
+      return res.status(400).json({ error: "Invalid client entry id" });
+    }
+
+    const entryTime = timestamp ? parseEntryTimestamp(timestamp) : new Date();
+    if (!entryTime) {
+      return res
+        .status(400)
+        .json({ error: "Timestamp must be a valid date, not in the future" });
+    }
+
+    const user = await User.findOne({ googleId: req.session.user.googleId });
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // A retry of a request that was already saved (the connection dropped
+    // before the response arrived) gets the original entry back
+    if (clientEntryId) {
+      const existing = await CaffeineEntry.findOne({
+        userId: user.googleId,
+        clientEntryId,
+      });
+      if (existing) {
+        return res.json({ ...existing.toObject(), achievements: [] });
+      }
+    }
+
+    const limits = await checkEntryLimits(
+      user,
+      parseFloat(caffeineMg),
+      entryTime
+    );
+    const bedtime = await projectBedtime(
+      user,
+      parseFloat(caffeineMg),
+      entryTime
+    );
+    const fullName = `${sizeName} ${drinkName}`;
+
+    const newEntry = new CaffeineEntry({
+      drinkName: drinkName.trim(),
+      sizeName: sizeName.trim(),
+      fullName: fullName.trim(),
+      caffeineMg: parseFloat(caffeineMg),
+      customDescription: customDescription ? customDescription.trim() : "",
+      isCustomDrink: Boolean(isCustomDrink),
+      volumeMl: volumeMl ? parseFloat(volumeMl) : null,
+      timestamp: entryTime,
+      userId: req.session.user.googleId,
+      userName: req.session.user.name,
+      userAvatar: req.session.user.picture,
+      clientEntryId: clientEntryId || undefined,
+    });
+
+    let savedEntry;
+    try {
+      savedEntry = await newEntry.save();
+    } catch (saveError) {
+      // The same entry arrived twice at once, e.g. from two tabs
+      if (saveError.code !== 11000) throw saveError;
+      const existing = await CaffeineEntry.findOne({
+        userId: user.googleId,
+        clientEntryId,
+      });
+      return res.json({ ...existing.toObject(), achievements: [] });
+    }
+    const achievements = await evaluateAchievements(user);
+    res
+      .status(201)
+      .json({ ...savedEntry.toObject(), limits, bedtime, achievements });
+    broadcastEntryEvent(req, "entry-created", savedEntry.toObject());
+    console.log(
+      `New entry added for user ${req.session.user.email}: ${savedEntry.fullName} (${savedEntry.caffeineMg}mg)`
+    );
+  } catch (error) {
+    console.error("Error saving entry:", error);
+    res.status(500).json({ error: "Failed to save entry" });
+  }
+});
+
+// Export the current user's entries as CSV or JSON.
+// from/to are optional inclusive "YYYY-MM-DD" dates in the user's timezone.
+app.get("/api/entries/export", requireAuth, async (req, res) => {
+  try {
+    const { format = "csv", from, to } = req.query;
+    const { googleId } = req.session.user;
+
+    if (format !== "csv" && format !== "json") {
+      return res.status(400).json({ error: "Format must be csv or json" });
+    }
+
+    const timeZone = await timezoneForRequest(req);
+    const timestamp = {};
+
+    if (from) {
+      const fromDate = parseCalendarDate(from);
+      if (!fromDate) {
+        return res.status(400).json({ error: "Invalid from date" });
+      }
+      timestamp.$gte = zonedMidnight(fromDate, timeZone);
+    }
+
+    if (to) {
+      const toDate = parseCalendarDate(to);
+      if (!toDate) {
+        return res.status(400).json({ error: "Invalid to date" });
+      }
+      timestamp.$lt = zonedMidnight(addCalendarDays(toDate, 1), timeZone);
+    }
+
+    const filter = { userId: googleId };
+    if (from || to) filter.timestamp = timestamp;
+
+    const filename = `caffeine-entries-${new Date()
+      .toISOString()
+      .slice(0, 10)}.${format}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.type(format === "csv" ? "text/csv" : "application/json");
+
+    // Stream documents straight from the cursor
+    const cursor = CaffeineEntry.find(filter).sort({ timestamp: 1 }).cursor();
+    let first = true;
+
+    if (format === "csv") {
+      res.write(ENTRY_CSV_COLUMNS.join(",") + "\n");
+    } else {
+      res.write("[");
+    }
+
+    for await (const entry of cursor) {
+      const row = {
+        timestamp: entry.timestamp.toISOString(),
+        drinkName: entry.drinkName,
+        sizeName: entry.sizeName,
+        caffeineMg: entry.caffeineMg,
+        customDescription: entry.customDescription,
+        isCustomDrink: entry.isCustomDrink,
+        volumeMl: entry.volumeMl || null,
+      };
+
+      if (format === "csv") {
+        res.write(
+          ENTRY_CSV_COLUMNS.map((column) => csvCell(row[column])).join(",") +
+            "\n"
+        );
+      } else {
+        res.write((first ? "" : ",") + JSON.stringify(row));
+      }
+      first = false;
+    }
+
+    if (format === "json") res.write("]");
+    res.end();
+  } catch (error) {
+    console.error("Error exporting entries:", error);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(500).json({ error: "Failed to export entries" });
+    }
+  }
+});
+
+// Import entries from CSV or JSON (raw request body).
+// Rows are matched onto existing drink types/sizes by name where possible;
+// the response lists every rejected row with the reason.
+app.post(
+  "/api/entries/import",
+  requireAuth,
+  express.text({ type: "*/*", limit: "2mb" }),
+  async (req, res) => {
+    try {
+      // JSON request bodies are parsed by express.json() before this route
+      // sees them, so the file has to be sent as text
+      if (req.is("application/json")) {
+        return res.status(415).json({
+          error:
+            "Send the file contents as text (Content-Type: text/plain or text/csv) with ?format=json",
+        });
+      }
+
+      const { format = "csv" } = req.query;
+      const sessionUser = req.session.user;
+      const body = typeof req.body === "string" ? req.body : "";
+
+      let rows;
+      // CSV rejections are reported by file line; JSON ones by array position
+      let lines = null;
+      if (format === "csv") {
+        ({ objects: rows, lines } = csvRowsToObjects(parseCsv(body)));
+      } else if (format === "json") {
+        try {
+          rows = JSON.parse(body);
+        } catch (error) {
+          return res.status(400).json({ error: "Invalid JSON" });
+        }
+        if (!Array.isArray(rows)) {
+          return res
+            .status(400)
+            .json({ error: "JSON import must be an array of entries" });
+        }
+      } else {
+        return res.status(400).json({ error: "Format must be csv or json" });
+      }
+
+      if (rows.length === 0) {
+        return res.status(400).json({ error: "No rows to import" });
+      }
+      if (rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+          error: `Imports are limited to ${MAX_IMPORT_ROWS} rows`,
+        });
+      }
+
+      const types = await DrinkType.find({ deleted: false });
+      const typesByName = new Map(
+        types.map((type) => [type.name.toLowerCase(), type])
+      );
+
+      // Existing entries, to skip rows that were already imported/exported
+      const existing = await CaffeineEntry.find(
+        { userId: sessionUser.googleId },
+        { timestamp: 1, drinkName: 1 }
+      );
+      const seen = new Set(
+        existing.map(
+          (e) => `${e.timestamp.getTime()}|${e.drinkName.toLowerCase()}`
+        )
+      );
+
+      const docs = [];
+      const rejected = [];
+
+      rows.forEach((row, index) => {
+        const rowNumber = lines ? lines[index] : index + 1;
+        const reject = (reason) => rejected.push({ row: rowNumber, reason });
+
+        if (!row || typeof row !== "object") {
+          return reject("Row is not an object");
+        }
+
+        const drinkName = String(row.drinkName || "").trim();
+        if (!drinkName) return reject("Missing drink name");
+
+        const timestamp = parseEntryTimestamp(row.timestamp);
+        if (!row.timestamp || !timestamp) {
+          return reject("Missing, invalid or future timestamp");
+        }
+
+        let sizeName = String(row.sizeName || "").trim();
+        let caffeineMg =
+          row.caffeineMg === undefined || row.caffeineMg === ""
+            ? NaN
+            : parseFloat(row.caffeineMg);
+        let canonicalDrinkName = drinkName;
+        // Rows that don't match a catalog size keep the exported flag
+        let isCustomDrink =
+          String(row.isCustomDrink).trim().toLowerCase() !== "false";
+
+        // Map onto a known drink type and size when the names match
+        const type = typesByName.get(drinkName.toLowerCase());
+        if (type) {
+          const size = sizeName
+            ? type.sizes.find(
+                (s) => s.name.toLowerCase() === sizeName.toLowerCase()
+              )
+            : type.sizes.length === 1
+            ? type.sizes[0]
+            : null;
+
+          if (size) {
+            canonicalDrinkName = type.name;
+            sizeName = size.name;
+            if (isNaN(caffeineMg)) caffeineMg = size.caffeineMg;
+            isCustomDrink = false;
+          }
+        }
+
+        if (!sizeName) sizeName = "Custom";
+        if (isNaN(caffeineMg) || caffeineMg <= 0) {
+          return reject("Missing or non-positive caffeine amount");
+        }
+
+        const hasVolumeMl =
+          row.volumeMl !== undefined &&
+          row.volumeMl !== null &&
+          row.volumeMl !== "";
+        const volumeMl = hasVolumeMl ? parseFloat(row.volumeMl) : null;
+        if (hasVolumeMl && !(volumeMl > 0)) {
+          return reject("Volume must be a positive number");
+        }
+
+        const key = `${timestamp.getTime()}|${canonicalDrinkName.toLowerCase()}`;
+        if (seen.has(key)) return reject("Duplicate of an existing entry");
+        seen.add(key);
+
+        docs.push({
+          drinkName: canonicalDrinkName,
+          sizeName,
+          fullName: `${sizeName} ${canonicalDrinkName}`,
+          caffeineMg,
+          customDescription: String(row.customDescription || "").trim(),
+          isCustomDrink,
+          volumeMl,
+          timestamp,
+          userId: sessionUser.googleId,
+          userName: sessionUser.name,
+          userAvatar: sessionUser.picture,
+        });
+      });
+
+      let achievements = [];
+      if (docs.length) {
+        await CaffeineEntry.insertMany(docs);
+        const owner = await User.findOne({ googleId: sessionUser.googleId });
+        if (owner) achievements = await evaluateAchievements(owner);
+      }
+
+      res.json({ imported: docs.length, rejected, achievements });
+      console.log(
+        `Entries imported: ${sessionUser.name} imported ${docs.length} entries (${rejected.length} rejected)`
+      );
+    } catch (error) {
+      console.error("Error importing entries:", error);
+      res.status(500).json({ error: "Failed to import entries" });
+    }
+  }
+);
+
+// Preview limit warnings and the bedtime projection for an entry before it
+// is logged
+app.post("/api/entries/check", requireAuth, async (req, res) => {
+  try {
+    const caffeineMg = parseFloat(req.body.caffeineMg);
+    if (isNaN(caffeineMg) || caffeineMg <= 0) {
+      return res
+        .status(400)
+        .json({ error: "Positive caffeine amount is required" });
+    }
+
+    const entryTime = req.body.timestamp
+      ? parseEntryTimestamp(req.body.timestamp)
+      : new Date();
+    if (!entryTime) {
+      return res
+        .status(400)
+        .json({ error: "Timestamp must be a valid date, not in the future" });
+    }
+
+    const user = await User.findOne({ googleId: req.session.user.googleId });
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json({
+      ...(await checkEntryLimits(user, caffeineMg, entryTime)),
+      bedtime: await projectBedtime(user, caffeineMg, entryTime),
+    });
+  } catch (error) {
+    console.error("Error checking entry limits:", error);
+    res.status(500).json({ error: "Failed to check entry limits" });
+  }
+});
+
+// Get total caffeine consumed today (scope=me|everyone)
+app.get("/api/total-today", requireAuth, async (req, res) => {
+  try {
+    const filter = await scopeFilter(req);
+    if (!filter) {
+      return res.status(400).json({ error: "Invalid scope" });
+    }
+
+    const { start, end } = todayRange(await timezoneForRequest(req));
+
+    const todayEntries = await CaffeineEntry.find({
+      ...filter,
+      timestamp: {
+        $gte: start,
+        $lt: end,
+      },
+    });
+
+    const total = todayEntries.reduce(
+      (sum, entry) => sum + entry.caffeineMg,
+      0
+    );
+    res.json({ total, count: todayEntries.length });
+  } catch (error) {
+    console.error("Error calculating today's total:", error);
+    res.status(500).json({ error: "Failed to calculate today's total" });
+  }
+});
+
+// Get total caffeine consumed all time (scope=me|everyone)
+app.get("/api/total-all", requireAuth, async (req, res) => {
+  try {
+    const filter = await scopeFilter(req);
+    if (!filter) {
+      return res.status(400).json({ error: "Invalid scope" });
+    }
+
+    const allEntries = await CaffeineEntry.find(filter);
+    const total = allEntries.reduce((sum, entry) => sum + entry.caffeineMg, 0);
+    res.json({ total, count: allEntries.length });
+  } catch (error) {
+    console.error("Error calculating total:", error);
+    res.status(500).json({ error: "Failed to calculate total" });
+  }
+});
+
+// Get caffeine currently active in the user's system, plus a 24h projection
+app.get("/api/caffeine-active", requireAuth, async (req, res) => {
+  try {
+    const user = await User.findOne({ googleId: req.session.user.googleId });
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    let halfLifeHours = user.halfLifeHours;
+    if (req.query.halfLife !== undefined) {
+      halfLifeHours = parseFloat(req.query.halfLife);
+      if (
+        isNaN(halfLifeHours) ||
+        halfLifeHours < MIN_HALF_LIFE_HOURS ||
+        halfLifeHours > MAX_HALF_LIFE_HOURS
+      ) {
+        return res.status(400).json({ error: "Invalid half-life" });
+      }
+    }
+
+    const now = new Date();
+    const entries = await CaffeineEntry.find({
+      userId: user.googleId,
+      timestamp: {
+        $gte: new Date(now.getTime() - decayWindowMs(halfLifeHours)),
+        $lte: now,
+      },
+    });
+
+    // Project every 30 minutes over the next 24 hours
+    const curve = [];
+    for (let i = 0; i <= 48; i++) {
+      const time = new Date(now.getTime() + i * 0.5 * HOUR_MS);
+      curve.push({
+        time,
+        mg:
+          Math.round(activeCaffeineAt(entries, time, halfLifeHours) * 10) / 10,
+      });
+    }
+
+    res.json({
+      activeMg: curve[0].mg,
+      halfLifeHours,
+      curve,
+    });
+  } catch (error) {
+    console.error("Error calculating active caffeine:", error);
+    res.status(500).json({ error: "Failed to calculate active caffeine" });
+  }
+});
+
+// Count the current user's after-cutoff drinks this week (Monday start)
+// and last week
+app.get("/api/after-cutoff", requireAuth, async (req, res) => {
+  try {
+    const user = await User.findOne({ googleId: req.session.user.googleId });
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const week = leaderboardRange({ period: "this-week" }, userTimezone(user));
+    const entries = await CaffeineEntry.find({
+      userId: user.googleId,
+      timestamp: { $gte: week.previous.start, $lt: week.end },
+    });
+
+    let count = 0;
+    let previousCount = 0;
+    entries.forEach((entry) => {
+      if (!sleepSchedule(user, entry.timestamp).afterCutoff) return;
+      if (entry.timestamp >= week.start) count++;
+      else previousCount++;
+    });
+
+    res.json({
+      caffeineCutoff: user.caffeineCutoff,
+      bedtime: user.bedtime,
+      weekStart: week.start,
+      count,
+      previousCount,
+    });
+  } catch (error) {
+    console.error("Error counting after-cutoff drinks:", error);
+    res.status(500).json({ error: "Failed to count after-cutoff drinks" });
+  }
+});
+
+// Update an entry (only allow users to edit their own entries)
+app.patch("/api/entries/:id", requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sizeName, caffeineMg, customDescription, timestamp } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: "Entry not found" });
+    }
+    const entry = await CaffeineEntry.findById(id);
+    const user = req.session.user;
+
+    if (!entry) {
+      return res.status(404).json({ error: "Entry not found" });
+    }
+
+    // Check if user owns this entry
+    if (entry.userId !== user.googleId) {
+      return res
+        .status(403)
+        .json({ error: "Not authorized to edit this entry" });
+    }
+
+    // Old values, so live clients can adjust their totals
+    const previous = {
+      caffeineMg: entry.caffeineMg,
+      timestamp: entry.timestamp,
+    };
+    // Caffeine amount that goes with the entry's volume
+    let volumeMg = entry.caffeineMg;
+
+    if (sizeName !== undefined) {
+      if (!sizeName || !sizeName.trim()) {
+        return res.status(400).json({ error: "Size name cannot be empty" });
+      }
+
+      // The old size's volume doesn't apply to the new one; take the new
+      // size's volume from the drink type if it has one
+      if (sizeName.trim() !== entry.sizeName) {
+        const drinkType = await DrinkType.findOne({
+          name: entry.drinkName,
+          deleted: false,
+        });
+        const size =
+          drinkType &&
+          drinkType.sizes.find(
+            (s) => s.name.toLowerCase() === sizeName.trim().toLowerCase()
+          );
+        entry.volumeMl = (size && size.volumeMl) || null;
+        if (size) volumeMg = size.caffeineMg;
+      }
+
+      entry.sizeName = sizeName.trim();
+      entry.fullName = `${entry.sizeName} ${entry.drinkName}`;
+    }
+
+    if (caffeineMg !== undefined) {
+      const mg = parseFloat(caffeineMg);
+      if (isNaN(mg) || mg <= 0) {
+        return res
+          .status(400)
+          .json({ error: "Caffeine amount must be a positive number" });
+      }
+      // A hand-edited amount no longer matches the logged volume
+      if (mg !== volumeMg) entry.volumeMl = null;
+      entry.caffeineMg = mg;
+    }
+
+    if (customDescription !== undefined) {
+      entry.customDescription = customDescription
+        ? customDescription.trim()
+        : "";
+    }
+
+    if (timestamp !== undefined) {
+      const entryTime = parseEntryTimestamp(timestamp);
+      if (!entryTime) {
+        return res
+          .status(400)
+          .json({ error: "Timestamp must be a valid date, not in the future" });
+      }
+      entry.timestamp = entryTime;
+    }
+
+    const savedEntry = await entry.save();
+    const owner = await User.findOne({ googleId: user.googleId });
+    const achievements = owner ? await evaluateAchievements(owner) : [];
+    res.json({ ...savedEntry.toObject(), achievements });
+    broadcastEntryEvent(req, "entry-updated", {
+      ...savedEntry.toObject(),
+      previous,
+    });
+    console.log(
+      `Entry updated: ${user.name} updated ${savedEntry.fullName} (${savedEntry.caffeineMg}mg)`
+    );
+  } catch (error) {
+    console.error("Error updating entry:", error);
+    res.status(500).json({ error: "Failed to update entry" });
+  }
+});
+
+// Delete an entry (only allow users to delete their own entries)
+app.delete("/api/entries/:id", requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: "Entry not found" });
+    }
+    const entry = await CaffeineEntry.findById(id);
+    const user = req.session.user;
+
+    if (!entry) {
+      return res.status(404).json({ error: "Entry not found" });
+    }
+
+    // Check if user owns this entry
+    if (entry.userId !== req.session.user.googleId) {
+      return res
+        .status(403)
+        .json({ error: "Not authorized to delete this entry" });
+    }
+
+    // Drink description
+    const drinkDesc = `${entry.sizeName} ${entry.drinkName} (${entry.caffeineMg}mg)`;
+
+    await CaffeineEntry.findByIdAndDelete(id);
+    const owner = await User.findOne({ googleId: user.googleId });
+    const achievements = owner ? await evaluateAchievements(owner) : [];
+    res.json({ message: "Entry deleted successfully", achievements });
+    broadcastEntryEvent(req, "entry-deleted", {
+      _id: entry._id,
+      userId: entry.userId,
+      caffeineMg: entry.caffeineMg,
+      timestamp: entry.timestamp,
+    });
+
+    console.log(`Entry deleted: ${user.name} deleted ${drinkDesc}`);
+  } catch (error) {
+    console.error("Error deleting entry:", error);
+    res.status(500).json({ error: "Failed to delete entry" });
+  }
+});
+
+// Scheduled Entry Routes
+
+const SCHEDULE_CHECK_MS = 1000 * 60;
+// Occurrences missed while the server was down are only back-filled this
+// far, so a long outage doesn't log a week of drinks at once
+const SCHEDULE_CATCH_UP_MS = DAY_MS;
+
+// Scheduled instants in (from, to], skipping paused days, skipDates and
+// days that have already been logged
+const scheduleOccurrences = (schedule, timeZone, from, to) => {
+  const minutes = parseClockTime(schedule.time);
+  const occurrences = [];
+
+  for (
+    let day = calendarDate(from, timeZone);
+    day <= calendarDate(to, timeZone);
+    day = addCalendarDays(day, 1)
+  ) {
+    const date = day.toISOString().slice(0, 10);
+    if (!schedule.days.includes(day.getUTCDay())) continue;
+    if (schedule.skipDates.includes(date)) continue;
+    if (schedule.lastRunDate && date <= schedule.lastRunDate) continue;
+
+    const at = zonedTimeToUtc(
+      day.getUTCFullYear(),
+      day.getUTCMonth() + 1,
+      day.getUTCDate(),
+      Math.floor(minutes / 60),
+      minutes % 60,
+      timeZone
+    );
+    if (at > from && at <= to) occurrences.push(at);
+  }
+
+  return occurrences;
+};
+
+// Validate days/time; returns an error message or null
+const scheduleError = ({ days, time }) => {
+  if (
+    !Array.isArray(days) ||
+    days.length === 0 ||
+    days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)
+  ) {
+    return "Pick at least one day of the week";
+  }
+  if (parseClockTime(time) === null) {
+    return "Time must be HH:MM";
+  }
+  return null;
+};
+
+const scheduleResponse = (schedule, timeZone) => {
+  const now = new Date();
+  const next = schedule.paused
+    ? null
+    : scheduleOccurrences(
+        schedule,
+        timeZone,
+        now,
+        new Date(now.getTime() + 15 * DAY_MS)
+      )[0];
+
+  return {
+    ...schedule.toObject(),
+    nextRunAt: next || null,
+    nextRunDate: next
+      ? calendarDate(next, timeZone).toISOString().slice(0, 10)
+      : null,
+  };
+};
+
+const findOwnSchedule = (req) =>
+  mongoose.Types.ObjectId.isValid(req.params.id)
+    ? ScheduledEntry.findOne({
+        _id: req.params.id,
+        userId: req.session.user.googleId,
+      })
+    : null;
+
+// Log every schedule's occurrences since its last run
+const runSchedules = async () => {
+  try {
+    const now = new Date();
+    const schedules = await ScheduledEntry.find({ paused: false });
+
+    for (const schedule of schedules) {
+      // Claim the run so overlapping checks can't log an occurrence twice
+      const claimed = await ScheduledEntry.updateOne(
+        { _id: schedule._id, lastRunAt: schedule.lastRunAt, paused: false },
+        { lastRunAt: now }
+      );
+      if (!claimed.modifiedCount) continue;
+
+      const user = await User.findOne({ googleId: schedule.userId });
+      if (!user) continue;
+
+      const from = new Date(
+        Math.max(
+          schedule.lastRunAt.getTime(),
+          now.getTime() - SCHEDULE_CATCH_UP_MS
+        )
+      );
+      const timeZone = userTimezone(user);
+      const occurrences = scheduleOccurrences(schedule, timeZone, from, now);
+      if (occurrences.length === 0) continue;
+
+      await ScheduledEntry.updateOne(
+        { _id: schedule._id },
+        {
+          lastRunDate: calendarDate(
+            occurrences[occurrences.length - 1],
+            timeZone
+          )
+            .toISOString()
+            .slice(0, 10),
+        }
+      );
+
+      for (const timestamp of occurrences) {
+        const entry = await new CaffeineEntry({
+          drinkName: schedule.drinkName,
+          sizeName: schedule.sizeName,
+          fullName: `${schedule.sizeName} ${schedule.drinkName}`,
+          caffeineMg: schedule.caffeineMg,
+          volumeMl: schedule.volumeMl,
+          customDescription: schedule.customDescription,
+          timestamp,
+          userId: user.googleId,
+          userName: user.name,
+          userAvatar: user.picture,
+          scheduleId: schedule._id,
+        }).save();
+        broadcastEntryEvent(null, "entry-created", entry.toObject());
+      }
+      await evaluateAchievements(user);
+
+      console.log(
+        `Auto-logged ${occurrences.length} ${schedule.sizeName} ${schedule.drinkName} for ${user.email}`
+      );
+    }
+  } catch (error) {
+    console.error("Error running scheduled entries:", error);
+  }
+};
+
+setInterval(runSchedules, SCHEDULE_CHECK_MS);
+
+// List the current user's recurring entries
+app.get("/api/schedules", requireAuth, async (req, res) => {
+  try {
+    const timeZone = await timezoneForRequest(req);
+    const schedules = await ScheduledEntry.find({
+      userId: req.session.user.googleId,
+    }).sort({ time: 1 });
+    res.json(schedules.map((s) => scheduleResponse(s, timeZone)));
+  } catch (error) {
+    console.error("Error fetching schedules:", error);
+    res.status(500).json({ error: "Failed to fetch schedules" });
+  }
+});
+
+// Create a recurring entry
+app.post("/api/schedules", requireAuth, async (req, res) => {
+  try {
+    const {
+      drinkName,
+      sizeName,
+      caffeineMg,
+      volumeMl,
+      customDescription,
+      days,
+      time,
+    } = req.body;
+
+    const mg = parseFloat(caffeineMg);
+    if (!drinkName || !sizeName || !Number.isFinite(mg) || mg <= 0) {
+      return res.status(400).json({
+        error:
+          "Drink name, size name, and positive caffeine amount are required",
+      });
+    }
+    if (volumeMl !== undefined && volumeMl !== null && !(volumeMl > 0)) {
+      return res
+        .status(400)
+        .json({ error: "Volume must be a positive number" });
+    }
+    const error = scheduleError({ days, time });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const schedule = await new ScheduledEntry({
+      userId: req.session.user.googleId,
+      drinkName,
+      sizeName,
+      caffeineMg: mg,
+      volumeMl: volumeMl ? parseFloat(volumeMl) : null,
+      customDescription: customDescription || "",
+      days: [...new Set(days)].sort(),
+      time,
+    }).save();
+
+    res
+      .status(201)
+      .json(scheduleResponse(schedule, await timezoneForRequest(req)));
+    console.log(
+      `Schedule created for user ${req.session.user.email}: ${sizeName} ${drinkName} at ${time}`
+    );
+  } catch (error) {
+    console.error("Error creating schedule:", error);
+    res.status(500).json({ error: "Failed to create schedule" });
+  }
+});
+
+// Pause/resume a recurring entry or change its days and time
+app.patch("/api/schedules/:id", requireAuth, async (req, res) => {
+  try {
+    const schedule = await findOwnSchedule(req);
+    if (!schedule) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+
+    const { paused, days = schedule.days, time = schedule.time } = req.body;
+    const error = scheduleError({ days, time });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    schedule.days = [...new Set(days)].sort();
+    schedule.time = time;
+
+    if (paused !== undefined) {
+      // Resuming doesn't back-fill the days it was paused for
+      if (schedule.paused && !paused) schedule.lastRunAt = new Date();
+      schedule.paused = Boolean(paused);
+    }
+
+    await schedule.save();
+    res.json(scheduleResponse(schedule, await timezoneForRequest(req)));
+  } catch (error) {
+    console.error("Error updating schedule:", error);
+    res.status(500).json({ error: "Failed to update schedule" });
+  }
+});
+
+app.delete("/api/schedules/:id", requireAuth, async (req, res) => {
+  try {
+    const schedule = await findOwnSchedule(req);
+    if (!schedule) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+
+    // Entries it already logged are kept
+    await schedule.deleteOne();
+    res.json({ message: "Schedule deleted" });
+  } catch (error) {
+    console.error("Error deleting schedule:", error);
+    res.status(500).json({ error: "Failed to delete schedule" });
+  }
+});
+
+// Skip one day ("YYYY-MM-DD" in the user's timezone, default the next run)
+app.post("/api/schedules/:id/skip", requireAuth, async (req, res) => {
+  try {
+    const schedule = await findOwnSchedule(req);
+    if (!schedule) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+
+    const timeZone = await timezoneForRequest(req);
+    const date =
+      req.body.date || scheduleResponse(schedule, timeZone).nextRunDate;
+    if (!parseCalendarDate(date)) {
+      return res.status(400).json({ error: "Invalid date" });
+    }
+
+    // Past skips no longer matter
+    const today = calendarDate(new Date(), timeZone).toISOString().slice(0, 10);
+    schedule.skipDates = [
+      ...new Set([...schedule.skipDates, date].filter((d) => d >= today)),
+    ].sort();
+
+    await schedule.save();
+    res.json(scheduleResponse(schedule, timeZone));
+  } catch (error) {
+    console.error("Error skipping scheduled entry:", error);
+    res.status(500).json({ error: "Failed to skip scheduled entry" });
+  }
+});
+
+// Undo a skip
+app.delete("/api/schedules/:id/skip/:date", requireAuth, async (req, res) => {
+  try {
+    const schedule = await findOwnSchedule(req);
+    if (!schedule) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+
+    schedule.skipDates = schedule.skipDates.filter(
+      (d) => d !== req.params.date
+    );
+    await schedule.save();
+    res.json(scheduleResponse(schedule, await timezoneForRequest(req)));
+  } catch (error) {
+    console.error("Error removing skipped day:", error);
+    res.status(500).json({ error: "Failed to remove skipped day" });
+  }
+});
+
+// Entries the current user's schedules logged, newest first, for review
+app.get("/api/schedules/entries", requireAuth, async (req, res) => {
+  try {
+    const entries = await CaffeineEntry.find({
+      userId: req.session.user.googleId,
+      scheduleId: { $ne: null },
+    })
+      .sort({ timestamp: -1 })
+      .limit(50);
+    res.json(entries);
+  } catch (error) {
+    console.error("Error fetching auto-logged entries:", error);
+    res.status(500).json({ error: "Failed to fetch auto-logged entries" });
+  }
+});
+
+// Toggle the current user's reaction on an entry
+app.post("/api/entries/:id/reactions", requireAuth, async (req, res) => {
+  try {
+    const { emoji } = req.body;
+    const user = req.session.user;
+
+    if (!REACTION_EMOJIS.includes(emoji)) {
+      return res.status(400).json({ error: "Unsupported reaction" });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: "Entry not found" });
+    }
+    const entry = await CaffeineEntry.findById(req.params.id);
+    if (!entry || !(await canSeeEntry(req, entry))) {
+      return res.status(404).json({ error: "Entry not found" });
+    }
+
+    const existing = entry.reactions.findIndex(
+      (r) => r.userId === user.googleId && r.emoji === emoji
+    );
+    if (existing === -1) {
+      entry.reactions.push({
+        emoji,
+        userId: user.googleId,
+        userName: user.name,
+      });
+    } else {
+      entry.reactions.splice(existing, 1);
+    }
+
+    await entry.save();
+    res.json({ reactions: entry.reactions });
+    broadcastInteractions(req, entry);
+  } catch (error) {
+    console.error("Error updating reaction:", error);
+    res.status(500).json({ error: "Failed to update reaction" });
+  }
+});
+
+// Comment on an entry, or reply to a comment with parentId
+app.post("/api/entries/:id/comments", requireAuth, async (req, res) => {
+  try {
+    const { text, parentId } = req.body;
+    const user = req.session.user;
+
+    const trimmed = typeof text === "string" ? text.trim() : "";
+    if (!trimmed) {
+      return res.status(400).json({ error: "Comment cannot be empty" });
+    }
+    if (trimmed.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({
+        error: `Comments are limited to ${MAX_COMMENT_LENGTH} characters`,
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: "Entry not found" });
+    }
+    const entry = await CaffeineEntry.findById(req.params.id);
+    if (!entry || !(await canSeeEntry(req, entry))) {
+      return res.status(404).json({ error: "Entry not found" });
+    }
+
+    if (entry.comments.length >= MAX_COMMENTS_PER_ENTRY) {
+      return res.status(400).json({ error: "This thread is full" });
+    }
+
+    // Replies to a reply join the top-level comment's thread
+    let threadId = null;
+    if (parentId) {
+      const parent = entry.comments.id(parentId);
+      if (!parent) {
+        return res.status(404).json({ error: "Comment not found" });
+      }
+      threadId = parent.parentId || parent._id;
+    }
+
+    entry.comments.push({
+      parentId: threadId,
+      userId: user.googleId,
+      userName: user.name,
+      userAvatar: user.picture,
+      text: trimmed,
+    });
+
+    await entry.save();
+    res.status(201).json({ comments: entry.comments });
+    broadcastInteractions(req, entry);
+  } catch (error) {
+    console.error("Error adding comment:", error);
+    res.status(500).json({ error: "Failed to add comment" });
+  }
+});
+
+// Delete one of the current user's own comments
+app.delete(
+  "/api/entries/:id/comments/:commentId",
+  requireAuth,
+  async (req, res) => {
+    try {
+      const user = req.session.user;
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ error: "Comment not found" });
+      }
+      const entry = await CaffeineEntry.findById(req.params.id);
+      const comment = entry && entry.comments.id(req.params.commentId);
+
+      if (!comment || comment.deleted) {
+        return res.status(404).json({ error: "Comment not found" });
+      }
+
+      if (comment.userId !== user.googleId) {
+        return res
+          .status(403)
+          .json({ error: "Not authorized to delete this comment" });
+      }
+
+      const hasReplies = (parent) =>
+        entry.comments.some((c) => c.parentId && c.parentId.equals(parent._id));
+
+      if (hasReplies(comment)) {
+        comment.deleted = true;
+        comment.text = "";
+      } else {
+        entry.comments.pull(comment._id);
+
+        // A deleted parent was only kept for its replies; drop it with the
+        // last one
+        let parent = comment.parentId && entry.comments.id(comment.parentId);
+        while (parent && parent.deleted && !hasReplies(parent)) {
+          entry.comments.pull(parent._id);
+          parent = parent.parentId && entry.comments.id(parent.parentId);
+        }
+      }
+
+      await entry.save();
+      res.json({ comments: entry.comments });
+      broadcastInteractions(req, entry);
+    } catch (error) {
+      console.error("Error deleting comment:", error);
+      res.status(500).json({ error: "Failed to delete comment" });
+    }
+  }
+);
+
+// Reactions from other users on the current user's entries since they
+// last looked
+app.get("/api/reactions/new", requireAuth, loadUser, async (req, res) => {
+  try {
+    const since = req.user.reactionsSeenAt;
+    const { googleId } = req.user;
+
+    const reactions = await CaffeineEntry.aggregate([
+      { $match: { userId: googleId, "reactions.createdAt": { $gt: since } } },
+      { $unwind: "$reactions" },
+      {
+        $match: {
+          "reactions.createdAt": { $gt: since },
+          "reactions.userId": { $ne: googleId },
+        },
+      },
+      { $sort: { "reactions.createdAt": -1 } },
+      {
+        $project: {
+          _id: 0,
+          entryId: "$_id",
+          fullName: 1,
+          emoji: "$reactions.emoji",
+          userName: "$reactions.userName",
+          createdAt: "$reactions.createdAt",
+        },
+      },
+    ]);
+
+    res.json({ count: reactions.length, reactions: reactions.slice(0, 50) });
+  } catch (error) {
+    console.error("Error fetching new reactions:", error);
+    res.status(500).json({ error: "Failed to fetch new reactions" });
+  }
+});
+
+// Mark all reactions on the current user's entries as seen
+app.post("/api/reactions/seen", requireAuth, async (req, res) => {
+  try {
+    await User.updateOne(
+      { googleId: req.session.user.googleId },
+      { reactionsSeenAt: new Date() }
+    );
+    res.json({ message: "Reactions marked as seen" });
+  } catch (error) {
+    console.error("Error marking reactions seen:", error);
+    res.status(500).json({ error: "Failed to mark reactions as seen" });
+  }
+});
+
+// Delete a drink type (moderators or the drink's creator)
+app.delete("/api/types/:id", requireAuth, loadUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: "Drink type not found" });
+    }
+    const drink = await DrinkType.findById(id);
+    const user = req.session.user;
 
-    const total = todayEntries.reduce(
-      (sum, entry) => sum + entry.caffeineMg,
-      0
-    );
-    res.json({ total, count: todayEntries.length });
+    if (!drink) {
+      return res.status(404).json({ error: "Drink type not found" });
+    }
+
+    if (!canManageDrinkType(req.user, drink)) {
+      return res
+        .status(403)
+        .json({ error: "Not authorized to delete this drink type" });
+    }
+
+    if (drink.deleted) {
+      return res.status(400).json({ error: "Drink type already deleted" });
+    }
+
+    drink.deleted = true;
+    drink.revisions.push(revisionFor("deleted", user));
+    await drink.save();
+
+    res.json({ message: `Drink type "${drink.name}" marked as deleted` });
+    broadcastEvent(req, "drink-type-changed", drinkTypeEvent("deleted", drink));
+    console.log(`Drink type deleted: ${user.name} deleted ${drink.name}`);
   } catch (error) {
-    console.error("Error calculating today's total:", error);
-    res.status(500).json({ error: "Failed to calculate today's total" });
+    console.error("Error deleting drink type:", error);
+    res.status(500).json({ error: "Failed to delete drink type" });
   }
 });
 
-// Get total caffeine consumed all time (for ALL users)
-app.get("/api/total-all", requireAuth, async (req, res) => {
+// List soft-deleted drink types
+app.get("/api/types/deleted", requireAuth, async (req, res) => {
   try {
-    const allEntries = await CaffeineEntry.find({});
-    const total = allEntries.reduce((sum, entry) => sum + entry.caffeineMg, 0);
-    res.json({ total, count: allEntries.length });
+    const types = await DrinkType.find({ deleted: true })
+      .select("-revisions")
+      .sort({ name: 1 });
+    res.json(types);
   } catch (error) {
-    console.error("Error calculating total:", error);
-    res.status(500).json({ error: "Failed to calculate total" });
+    console.error("Error fetching deleted drink types:", error);
+    res.status(500).json({ error: "Failed to fetch deleted drink types" });
   }
 });
 
-// Delete an entry (only allow users to delete their own entries)
-app.delete("/api/entries/:id", requireAuth, async (req, res) => {
+// Update a drink type's name, image and size variants (moderators or the
+// drink's creator)
+app.put("/api/types/:id", requireAuth, loadUser, async (req, res) => {
   try {
     const { id } = req.params;
-    const entry = await CaffeineEntry.findById(id);
+    const { name, imageUrl, sizes, category, tags } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: "Drink type not found" });
+    }
+    const drink = await DrinkType.findById(id);
     const user = req.session.user;
 
-    if (!entry) {
-      return res.status(404).json({ error: "Entry not found" });
+    if (!drink || drink.deleted) {
+      return res.status(404).json({ error: "Drink type not found" });
     }
 
-    // Check if user owns this entry
-    if (entry.userId !== req.session.user.googleId) {
+    if (!canManageDrinkType(req.user, drink)) {
       return res
         .status(403)
-        .json({ error: "Not authorized to delete this entry" });
+        .json({ error: "Not authorized to edit this drink type" });
     }
 
-    // Drink description
-    const drinkDesc = `${entry.sizeName} ${entry.drinkName} (${entry.caffeineMg}mg)`;
+    const changes = {};
 
-    await CaffeineEntry.findByIdAndDelete(id);
-    res.json({ message: "Entry deleted successfully" });
+    if (name !== undefined) {
+      if (!name || !name.trim()) {
+        return res.status(400).json({ error: "Name cannot be empty" });
+      }
+      const newName = name.trim();
+      if (newName !== drink.name) {
+        const existingType = await DrinkType.findOne({
+          name: newName,
+          _id: { $ne: drink._id },
+        });
+        if (existingType) {
+          return res.status(400).json({ error: "Drink type already exists" });
+        }
+        changes.name = { from: drink.name, to: newName };
+        drink.name = newName;
+      }
+    }
 
-    console.log(`Entry deleted: ${user.name} deleted ${drinkDesc}`);
+    if (imageUrl !== undefined) {
+      const newImageUrl = imageUrl ? imageUrl.trim() : "/images/noImage.png";
+      if (newImageUrl !== drink.imageUrl) {
+        changes.imageUrl = { from: drink.imageUrl, to: newImageUrl };
+        drink.imageUrl = newImageUrl;
+      }
+    }
+
+    if (sizes !== undefined) {
+      const sizeError = validateSizes(sizes);
+      if (sizeError) {
+        return res.status(400).json({ error: sizeError });
+      }
+
+      const oldSizes = normalizeSizes(drink.sizes);
+      const newSizes = normalizeSizes(sizes);
+      const upcConflict = await findUpcConflict(newSizes, drink._id);
+      if (upcConflict) {
+        return res
+          .status(400)
+          .json({ error: `UPC is already used by ${upcConflict.name}` });
+      }
+      if (JSON.stringify(oldSizes) !== JSON.stringify(newSizes)) {
+        changes.sizes = { from: oldSizes, to: newSizes };
+        drink.sizes = newSizes;
+      }
+    }
+
+    if (category !== undefined) {
+      if (!DRINK_CATEGORIES.includes(category)) {
+        return res.status(400).json({ error: "Invalid category" });
+      }
+      if (category !== drink.category) {
+        changes.category = { from: drink.category, to: category };
+        drink.category = category;
+      }
+    }
+
+    if (tags !== undefined) {
+      const newTags = normalizeTags(tags);
+      if (newTags.join(",") !== drink.tags.join(",")) {
+        changes.tags = { from: [...drink.tags], to: newTags };
+        drink.tags = newTags;
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.json(drink);
+    }
+
+    drink.revisions.push(revisionFor("updated", user, changes));
+    const savedType = await drink.save();
+
+    res.json(savedType);
+    broadcastEvent(
+      req,
+      "drink-type-changed",
+      drinkTypeEvent("updated", savedType)
+    );
+    console.log(
+      `Drink type updated: ${user.name} updated ${
+        savedType.name
+      } (${Object.keys(changes).join(", ")})`
+    );
   } catch (error) {
-    console.error("Error deleting entry:", error);
-    res.status(500).json({ error: "Failed to delete entry" });
+    console.error("Error updating drink type:", error);
+    res.status(500).json({ error: "Failed to update drink type" });
   }
 });
 
-// Delete a drink type (any authenticated user can delete)
-app.delete("/api/types/:id", requireAuth, async (req, res) => {
+// Restore a soft-deleted drink type (moderators or the drink's creator)
+app.post("/api/types/:id/restore", requireAuth, loadUser, async (req, res) => {
   try {
     const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: "Drink type not found" });
+    }
     const drink = await DrinkType.findById(id);
     const user = req.session.user;
 
@@ -456,248 +3781,698 @@ app.delete("/api/types/:id", requireAuth, async (req, res) => {
       return res.status(404).json({ error: "Drink type not found" });
     }
 
-    if (drink.deleted) {
-      return res.status(400).json({ error: "Drink type already deleted" });
+    if (!canManageDrinkType(req.user, drink)) {
+      return res
+        .status(403)
+        .json({ error: "Not authorized to restore this drink type" });
     }
 
-    drink.deleted = true;
-    await drink.save();
+    if (!drink.deleted) {
+      return res.status(400).json({ error: "Drink type is not deleted" });
+    }
 
-    res.json({ message: `Drink type "${drink.name}" marked as deleted` });
-    console.log(`Drink type deleted: ${user.name} deleted ${drink.name}`);
+    drink.deleted = false;
+    drink.revisions.push(revisionFor("restored", user));
+    const savedType = await drink.save();
+
+    res.json(savedType);
+    broadcastEvent(
+      req,
+      "drink-type-changed",
+      drinkTypeEvent("restored", savedType)
+    );
+    console.log(`Drink type restored: ${user.name} restored ${drink.name}`);
   } catch (error) {
-    console.error("Error deleting drink type:", error);
-    res.status(500).json({ error: "Failed to delete drink type" });
+    console.error("Error restoring drink type:", error);
+    res.status(500).json({ error: "Failed to restore drink type" });
   }
 });
 
-// Leaderboard API
-app.get("/api/leaderboard", requireAuth, async (req, res) => {
+// Revision history for a drink type, newest first
+app.get("/api/types/:id/revisions", requireAuth, async (req, res) => {
   try {
-    const { period = "week" } = req.query;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: "Drink type not found" });
+    }
+    const drink = await DrinkType.findById(req.params.id).select(
+      "name revisions"
+    );
 
-    let dateFilter = {};
-    const now = new Date();
+    if (!drink) {
+      return res.status(404).json({ error: "Drink type not found" });
+    }
 
-    switch (period) {
-      case "week": {
-        const weekAgo = new Date(now);
-        weekAgo.setDate(weekAgo.getDate() - 7);
-        dateFilter = { timestamp: { $gte: weekAgo } };
-        break;
-      }
-      case "month": {
-        const monthAgo = new Date(now);
-        monthAgo.setMonth(monthAgo.getMonth() - 1);
-        dateFilter = { timestamp: { $gte: monthAgo } };
-        break;
-      }
-      case "year": {
-        const yearAgo = new Date(now);
-        yearAgo.setFullYear(yearAgo.getFullYear() - 1);
-        dateFilter = { timestamp: { $gte: yearAgo } };
-        break;
-      }
-      case "all":
-        // no date filter
-        break;
-      default:
-        return res.status(400).json({ error: "Invalid period" });
-    }
-
-    // Aggregate caffeine consumption by user
-    const pipeline = [
-      { $match: dateFilter },
-      {
-        $group: {
-          _id: "$userId",
-          totalCaffeine: { $sum: "$caffeineMg" },
-          entryCount: { $sum: 1 },
-          userName: { $first: "$userName" },
-          userAvatar: { $first: "$userAvatar" },
+    res.json([...drink.revisions].reverse());
+  } catch (error) {
+    console.error("Error fetching drink type revisions:", error);
+    res.status(500).json({ error: "Failed to fetch drink type revisions" });
+  }
+});
+
+// Leaderboard metrics: field each row is ranked by
+const LEADERBOARD_METRICS = {
+  total: "totalCaffeine",
+  average: "averagePerDay",
+  count: "entryCount",
+  peak: "peakDay",
+  distinct: "distinctDrinks",
+};
+
+// Custom periods (leaderboard and chart) are capped so one request can't
+// aggregate every entry
+const MAX_CUSTOM_PERIOD_DAYS = 366;
+
+// Time range for a leaderboard period, plus the range just before it to
+// compare ranks against. Rolling periods end now; "this-week" (Monday to
+// Sunday), "this-month" and "custom" (inclusive from/to dates) follow the
+// calendar in timeZone. "all" has no range. Returns null when invalid.
+const leaderboardRange = (query, timeZone) => {
+  const { period = "week", from, to } = query;
+  const now = new Date();
+  const today = calendarDate(now, timeZone);
+
+  const rollBack = (date) => {
+    const d = new Date(date);
+    if (period === "week") d.setDate(d.getDate() - 7);
+    if (period === "month") d.setMonth(d.getMonth() - 1);
+    if (period === "year") d.setFullYear(d.getFullYear() - 1);
+    return d;
+  };
+
+  // Calendar dates [first, next) and the same-length span before them
+  const calendarRange = (first, next, previousFirst) => ({
+    start: zonedMidnight(first, timeZone),
+    end: zonedMidnight(next, timeZone),
+    previous: {
+      start: zonedMidnight(previousFirst, timeZone),
+      end: zonedMidnight(first, timeZone),
+    },
+  });
+
+  switch (period) {
+    case "week":
+    case "month":
+    case "year": {
+      const start = rollBack(now);
+      return {
+        start,
+        end: now,
+        previous: { start: rollBack(start), end: start },
+      };
+    }
+    case "all":
+      return { start: null, end: null, previous: null };
+    case "this-week": {
+      const monday = addCalendarDays(today, -((today.getUTCDay() + 6) % 7));
+      return calendarRange(
+        monday,
+        addCalendarDays(monday, 7),
+        addCalendarDays(monday, -7)
+      );
+    }
+    case "this-month": {
+      const year = today.getUTCFullYear();
+      const month = today.getUTCMonth();
+      return calendarRange(
+        new Date(Date.UTC(year, month, 1)),
+        new Date(Date.UTC(year, month + 1, 1)),
+        new Date(Date.UTC(year, month - 1, 1))
+      );
+    }
+    case "custom": {
+      const fromDate = parseCalendarDate(from);
+      const toDate = parseCalendarDate(to);
+      if (!fromDate || !toDate || fromDate > toDate) return null;
+      const days = Math.round((toDate - fromDate) / DAY_MS) + 1;
+      if (days > MAX_CUSTOM_PERIOD_DAYS) return null;
+      return calendarRange(
+        fromDate,
+        addCalendarDays(toDate, 1),
+        addCalendarDays(fromDate, -days)
+      );
+    }
+    default:
+      return null;
+  }
+};
+
+const rangeFilter = (range) =>
+  range && range.start
+    ? { timestamp: { $gte: range.start, $lt: range.end } }
+    : {};
+
+// Per-user leaderboard stats for entries matching match, ranked by metric.
+// Days for the average and peak are calendar days in timeZone.
+const aggregateLeaderboard = (match, metric, timeZone, limit) =>
+  CaffeineEntry.aggregate([
+    { $match: match },
+    { $sort: { timestamp: -1 } },
+    {
+      $group: {
+        _id: {
+          userId: "$userId",
+          day: {
+            $dateToString: {
+              format: "%Y-%m-%d",
+              date: "$timestamp",
+              timezone: timeZone,
+            },
+          },
         },
+        dayTotal: { $sum: "$caffeineMg" },
+        dayCount: { $sum: 1 },
+        drinks: { $addToSet: { $toLower: "$drinkName" } },
+        userName: { $first: "$userName" },
+        userAvatar: { $first: "$userAvatar" },
+        lastEntryAt: { $max: "$timestamp" },
       },
-      { $sort: { totalCaffeine: -1 } },
-      { $limit: 50 },
-      {
-        $project: {
-          _id: 0,
-          userId: "$_id",
-          totalCaffeine: 1,
-          entryCount: 1,
-          userName: 1,
-          userAvatar: 1,
+    },
+    // Latest day first, so each user's current name and avatar are shown
+    { $sort: { lastEntryAt: -1 } },
+    {
+      $group: {
+        _id: "$_id.userId",
+        totalCaffeine: { $sum: "$dayTotal" },
+        entryCount: { $sum: "$dayCount" },
+        activeDays: { $sum: 1 },
+        peakDay: { $max: "$dayTotal" },
+        drinkSets: { $push: "$drinks" },
+        userName: { $first: "$userName" },
+        userAvatar: { $first: "$userAvatar" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        userId: "$_id",
+        totalCaffeine: 1,
+        entryCount: 1,
+        activeDays: 1,
+        peakDay: 1,
+        averagePerDay: { $divide: ["$totalCaffeine", "$activeDays"] },
+        distinctDrinks: {
+          $size: {
+            $reduce: {
+              input: "$drinkSets",
+              initialValue: [],
+              in: { $setUnion: ["$$value", "$$this"] },
+            },
+          },
         },
+        userName: 1,
+        userAvatar: 1,
       },
-    ];
+    },
+    { $sort: { [LEADERBOARD_METRICS[metric]]: -1, totalCaffeine: -1 } },
+    ...(limit ? [{ $limit: limit }] : []),
+  ]);
+
+// Leaderboard API. ?metric= picks what to rank by (see LEADERBOARD_METRICS),
+// ?period= the time range (see leaderboardRange). Each row carries its rank
+// in the previous period of the same length, when there is one.
+app.get("/api/leaderboard", requireAuth, async (req, res) => {
+  try {
+    const { metric = "total" } = req.query;
+    if (!LEADERBOARD_METRICS[metric]) {
+      return res.status(400).json({ error: "Invalid metric" });
+    }
+
+    const timeZone = await timezoneForRequest(req);
+    const range = leaderboardRange(req.query, timeZone);
+    if (!range) {
+      return res.status(400).json({ error: "Invalid period" });
+    }
+
+    const audience = await audienceFilter(req);
+    if (!audience) {
+      return res.status(400).json({ error: "Invalid audience" });
+    }
+
+    const [rows, previousRows] = await Promise.all([
+      aggregateLeaderboard(
+        { ...rangeFilter(range), ...audience },
+        metric,
+        timeZone,
+        50
+      ),
+      range.previous
+        ? aggregateLeaderboard(
+            { ...rangeFilter(range.previous), ...audience },
+            metric,
+            timeZone
+          )
+        : [],
+    ]);
 
-    const leaderboard = await CaffeineEntry.aggregate(pipeline);
-    res.json(leaderboard);
+    const previousRanks = new Map(
+      previousRows.map((row, i) => [row.userId, i + 1])
+    );
+
+    // Attach each user's unlocked badges
+    const users = await User.find({
+      googleId: { $in: rows.map((row) => row.userId) },
+    }).select("googleId achievements");
+    const badgesByUser = new Map(users.map((u) => [u.googleId, userBadges(u)]));
+
+    res.json({
+      metric,
+      start: range.start,
+      end: range.end,
+      rows: rows.map((row, i) => {
+        const previousRank = previousRanks.get(row.userId) || null;
+        return {
+          ...row,
+          rank: i + 1,
+          previousRank,
+          rankChange: previousRank ? previousRank - (i + 1) : null,
+          badges: badgesByUser.get(row.userId) || [],
+        };
+      }),
+    });
   } catch (error) {
     console.error("Error fetching leaderboard:", error);
     res.status(500).json({ error: "Failed to fetch leaderboard" });
   }
 });
 
-// Chart data API
-app.get("/api/caffeine-chart", requireAuth, async (req, res) => {
+// Weekday x hour matrix of mg in the viewer's timezone, Monday first.
+// Takes the chart's scope and the leaderboard's period parameters.
+app.get("/api/caffeine-heatmap", requireAuth, async (req, res) => {
   try {
-    const { period = "week" } = req.query;
-    const now = new Date();
+    const filter = await scopeFilter(req);
+    if (!filter) {
+      return res.status(400).json({ error: "Invalid scope" });
+    }
 
-    // Normalize today to midnight
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const timeZone = await timezoneForRequest(req);
+    const range = leaderboardRange({ period: "all", ...req.query }, timeZone);
+    if (!range) {
+      return res.status(400).json({ error: "Invalid period" });
+    }
 
-    let startDate;
-    let labelFormatter;
-    let step;
+    const cells = await CaffeineEntry.aggregate([
+      { $match: { ...filter, ...rangeFilter(range) } },
+      {
+        $group: {
+          _id: {
+            // 1 = Sunday ... 7 = Saturday
+            weekday: { $dayOfWeek: { date: "$timestamp", timezone: timeZone } },
+            hour: { $hour: { date: "$timestamp", timezone: timeZone } },
+          },
+          totalMg: { $sum: "$caffeineMg" },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
 
-    switch (period) {
-      case "week": {
-        startDate = new Date(today);
-        startDate.setDate(today.getDate() - 6); // 7 days total incl today
-        labelFormatter = (d) =>
-          d.toLocaleDateString("en-US", { month: "short", day: "numeric" });
-        step = "day";
-        break;
-      }
+    const values = Array.from({ length: 7 }, () => Array(24).fill(0));
+    const counts = Array.from({ length: 7 }, () => Array(24).fill(0));
+    let maxMg = 0;
 
-      case "month": {
-        startDate = new Date(today);
-        startDate.setDate(today.getDate() - 29); // 30 days incl today
-        labelFormatter = (d) =>
-          d.toLocaleDateString("en-US", { month: "short", day: "numeric" });
-        step = "day";
-        break;
+    cells.forEach(({ _id, totalMg, count }) => {
+      const row = (_id.weekday + 5) % 7; // Monday = 0
+      values[row][_id.hour] = totalMg;
+      counts[row][_id.hour] = count;
+      maxMg = Math.max(maxMg, totalMg);
+    });
+
+    res.json({
+      days: ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"],
+      values,
+      counts,
+      maxMg,
+      timeZone,
+    });
+  } catch (error) {
+    console.error("Error fetching heatmap:", error);
+    res.status(500).json({ error: "Failed to fetch heatmap" });
+  }
+});
+
+// Drink popularity over a leaderboard period (same period and audience
+// parameters). Top 10 drinks by count, each with a per-size breakdown.
+app.get("/api/analytics/drinks", requireAuth, async (req, res) => {
+  try {
+    const timeZone = await timezoneForRequest(req);
+    const range = leaderboardRange(req.query, timeZone);
+    if (!range) {
+      return res.status(400).json({ error: "Invalid period" });
+    }
+
+    const audience = await audienceFilter(req);
+    if (!audience) {
+      return res.status(400).json({ error: "Invalid audience" });
+    }
+
+    const match = { ...rangeFilter(range), ...audience };
+
+    const [drinks, [totals], types] = await Promise.all([
+      CaffeineEntry.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { drinkName: "$drinkName", sizeName: "$sizeName" },
+            count: { $sum: 1 },
+            totalMg: { $sum: "$caffeineMg" },
+            users: { $addToSet: "$userId" },
+          },
+        },
+        { $sort: { count: -1 } },
+        {
+          $group: {
+            _id: "$_id.drinkName",
+            count: { $sum: "$count" },
+            totalMg: { $sum: "$totalMg" },
+            userSets: { $push: "$users" },
+            sizes: {
+              $push: {
+                sizeName: "$_id.sizeName",
+                count: "$count",
+                totalMg: "$totalMg",
+                uniqueUsers: { $size: "$users" },
+              },
+            },
+          },
+        },
+        { $sort: { count: -1, totalMg: -1 } },
+        { $limit: 10 },
+        {
+          $project: {
+            _id: 0,
+            drinkName: "$_id",
+            count: 1,
+            totalMg: 1,
+            uniqueUsers: {
+              $size: {
+                $reduce: {
+                  input: "$userSets",
+                  initialValue: [],
+                  in: { $setUnion: ["$$value", "$$this"] },
+                },
+              },
+            },
+            sizes: 1,
+          },
+        },
+      ]),
+      CaffeineEntry.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            totalMg: { $sum: "$caffeineMg" },
+            count: { $sum: 1 },
+          },
+        },
+      ]),
+      DrinkType.find({}, "name imageUrl"),
+    ]);
+
+    const totalMg = totals ? totals.totalMg : 0;
+    const share = (mg) => (totalMg ? mg / totalMg : 0);
+    const imagesByName = new Map(
+      types.map((type) => [type.name.toLowerCase(), type.imageUrl])
+    );
+
+    res.json({
+      start: range.start,
+      end: range.end,
+      totalMg,
+      entryCount: totals ? totals.count : 0,
+      drinks: drinks.map((drink) => ({
+        ...drink,
+        share: share(drink.totalMg),
+        imageUrl:
+          imagesByName.get(drink.drinkName.toLowerCase()) ||
+          "/images/noImage.png",
+        sizes: drink.sizes.map((size) => ({
+          ...size,
+          share: share(size.totalMg),
+        })),
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching drink analytics:", error);
+    res.status(500).json({ error: "Failed to fetch drink analytics" });
+  }
+});
+
+// Bucket entries matching filter into a zero-padded chart series, using
+// calendar days in timeZone. "custom" takes inclusive from/to dates, at
+// most MAX_CUSTOM_PERIOD_DAYS apart. Returns null for an invalid period.
+const buildChartSeries = async (
+  filter,
+  period,
+  timeZone,
+  { from, to } = {}
+) => {
+  const now = new Date();
+  const today = calendarDate(now, timeZone);
+  let endDate = today;
+
+  // Labels are formatted from calendar dates, which live at UTC midnight
+  const dayLabel = (d) =>
+    d.toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+      timeZone: "UTC",
+    });
+
+  let startDate;
+  let labelFormatter;
+  let step;
+
+  switch (period) {
+    case "week": {
+      startDate = addCalendarDays(today, -6); // 7 days total incl today
+      labelFormatter = dayLabel;
+      step = "day";
+      break;
+    }
+
+    case "month": {
+      startDate = addCalendarDays(today, -29); // 30 days incl today
+      labelFormatter = dayLabel;
+      step = "day";
+      break;
+    }
+
+    case "this-week": {
+      startDate = addCalendarDays(today, -((today.getUTCDay() + 6) % 7));
+      endDate = addCalendarDays(startDate, 6); // Monday to Sunday
+      labelFormatter = dayLabel;
+      step = "day";
+      break;
+    }
+
+    case "this-month": {
+      startDate = new Date(
+        Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1)
+      );
+      endDate = new Date(
+        Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 0)
+      );
+      labelFormatter = dayLabel;
+      step = "day";
+      break;
+    }
+
+    case "custom": {
+      startDate = parseCalendarDate(from);
+      endDate = parseCalendarDate(to);
+      if (!startDate || !endDate || startDate > endDate) return null;
+      if ((endDate - startDate) / DAY_MS + 1 > MAX_CUSTOM_PERIOD_DAYS) {
+        return null;
       }
 
-      case "year": {
-        startDate = new Date(today);
-        startDate.setFullYear(today.getFullYear() - 1);
+      if ((endDate - startDate) / DAY_MS < 92) {
+        labelFormatter = dayLabel;
+        step = "day";
+      } else {
         labelFormatter = (d) =>
-          d.toLocaleDateString("en-US", { month: "short" });
+          d.toLocaleDateString("en-US", {
+            month: "short",
+            year: "numeric",
+            timeZone: "UTC",
+          });
         step = "month";
-        break;
       }
+      break;
+    }
 
-      case "all": {
-        // Fetch earliest and latest entries
-        const earliest = await CaffeineEntry.findOne().sort({ timestamp: 1 });
-        const latest = await CaffeineEntry.findOne().sort({ timestamp: -1 });
+    case "year": {
+      startDate = new Date(today);
+      startDate.setUTCFullYear(today.getUTCFullYear() - 1);
+      labelFormatter = (d) =>
+        d.toLocaleDateString("en-US", { month: "short", timeZone: "UTC" });
+      step = "month";
+      break;
+    }
 
-        if (!earliest || !latest) {
-          return res.json({ labels: [], values: [] });
-        }
+    case "all": {
+      // Fetch earliest and latest entries
+      const earliest = await CaffeineEntry.findOne(filter).sort({
+        timestamp: 1,
+      });
+      const latest = await CaffeineEntry.findOne(filter).sort({
+        timestamp: -1,
+      });
 
-        startDate = new Date(earliest.timestamp);
-        startDate.setHours(0, 0, 0, 0);
-        const endDate = new Date(latest.timestamp);
-        endDate.setHours(0, 0, 0, 0);
-
-        const daysSpan =
-          Math.floor((endDate - startDate) / (1000 * 60 * 60 * 24)) + 1;
-
-        if (daysSpan <= 90) {
-          // Short span → daily
-          step = "day";
-          labelFormatter = (d) =>
-            d.toLocaleDateString("en-US", {
-              month: "short",
-              day: "numeric",
-            });
-        } else if (daysSpan <= 18 * 30) {
-          // Medium span → monthly
-          step = "month";
-          startDate.setDate(1); // align to month start
-          labelFormatter = (d) =>
-            d.toLocaleDateString("en-US", {
-              month: "short",
-              year: "numeric",
-            });
-        } else {
-          // Long span → yearly
-          step = "year";
-          startDate = new Date(startDate.getFullYear(), 0, 1);
-          labelFormatter = (d) => d.getFullYear().toString();
-        }
-        break;
+      if (!earliest || !latest) {
+        return { labels: [], values: [], step: "day" };
       }
 
-      default:
-        return res.status(400).json({ error: "Invalid period" });
+      startDate = calendarDate(earliest.timestamp, timeZone);
+      const lastDate = calendarDate(latest.timestamp, timeZone);
+
+      const daysSpan = Math.round((lastDate - startDate) / DAY_MS) + 1;
+
+      if (daysSpan <= 90) {
+        // Short span → daily
+        step = "day";
+        labelFormatter = dayLabel;
+      } else if (daysSpan <= 18 * 30) {
+        // Medium span → monthly
+        step = "month";
+        startDate.setUTCDate(1); // align to month start
+        labelFormatter = (d) =>
+          d.toLocaleDateString("en-US", {
+            month: "short",
+            year: "numeric",
+            timeZone: "UTC",
+          });
+      } else {
+        // Long span → yearly
+        step = "year";
+        startDate = new Date(Date.UTC(startDate.getUTCFullYear(), 0, 1));
+        labelFormatter = (d) => d.getUTCFullYear().toString();
+      }
+      break;
     }
 
-    // Query only relevant entries
-    const entries = await CaffeineEntry.find({
-      timestamp: { $gte: startDate, $lte: now },
-    });
+    default:
+      return null;
+  }
 
-    // Group in memory
-    const buckets = {};
+  // YYYY-MM-DD, YYYY-MM or YYYY depending on the step
+  const keyLength = { day: 10, month: 7, year: 4 }[step];
+  const bucketKey = (calDate) => calDate.toISOString().slice(0, keyLength);
 
-    entries.forEach((entry) => {
-      const d = new Date(entry.timestamp);
-      let key;
-
-      if (step === "day") {
-        d.setHours(0, 0, 0, 0);
-        key = d.toISOString().slice(0, 10); // YYYY-MM-DD
-      } else if (step === "month") {
-        d.setDate(1);
-        d.setHours(0, 0, 0, 0);
-        key = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
-      } else if (step === "year") {
-        d.setMonth(0, 1); // Jan 1
-        d.setHours(0, 0, 0, 0);
-        key = `${d.getFullYear()}`;
-      }
-
-      if (!buckets[key]) buckets[key] = 0;
-      buckets[key] += entry.caffeineMg;
-    });
+  // Query only relevant entries
+  const entries = await CaffeineEntry.find({
+    ...filter,
+    timestamp: {
+      $gte: zonedMidnight(startDate, timeZone),
+      $lt: zonedMidnight(addCalendarDays(endDate, 1), timeZone),
+    },
+  });
 
-    // Build labels & values with zero-padding
-    const labels = [];
-    const values = [];
+  // Group in memory by the user's local calendar
+  const buckets = {};
+
+  entries.forEach((entry) => {
+    const key = bucketKey(calendarDate(entry.timestamp, timeZone));
+    if (!buckets[key]) buckets[key] = 0;
+    buckets[key] += entry.caffeineMg;
+  });
+
+  // Build labels & values with zero-padding
+  const labels = [];
+  const values = [];
+  const iter = new Date(startDate);
+  if (step !== "day") iter.setUTCDate(1); // so month steps never skip a month
+
+  while (iter <= endDate) {
+    const key = bucketKey(iter);
+    labels.push(labelFormatter(iter));
+    values.push(buckets[key] || 0);
 
     if (step === "day") {
-      for (
-        let d = new Date(startDate);
-        d <= today;
-        d.setDate(d.getDate() + 1)
-      ) {
-        const key = d.toISOString().slice(0, 10);
-        labels.push(labelFormatter(d));
-        values.push(buckets[key] || 0);
-      }
+      iter.setUTCDate(iter.getUTCDate() + 1);
     } else if (step === "month") {
-      const iter = new Date(startDate);
-      while (iter <= today) {
-        const key = `${iter.getFullYear()}-${String(
-          iter.getMonth() + 1
-        ).padStart(2, "0")}`;
-        labels.push(labelFormatter(iter));
-        values.push(buckets[key] || 0);
-        iter.setMonth(iter.getMonth() + 1);
-      }
-    } else if (step === "year") {
-      const iter = new Date(startDate);
-      while (iter <= today) {
-        const key = `${iter.getFullYear()}`;
-        labels.push(labelFormatter(iter));
-        values.push(buckets[key] || 0);
-        iter.setFullYear(iter.getFullYear() + 1);
-      }
+      iter.setUTCMonth(iter.getUTCMonth() + 1);
+    } else {
+      iter.setUTCFullYear(iter.getUTCFullYear() + 1);
+    }
+  }
+
+  return { labels, values, step };
+};
+
+// Chart data API
+app.get("/api/caffeine-chart", requireAuth, async (req, res) => {
+  try {
+    const { period = "week", from, to } = req.query;
+
+    const filter = await scopeFilter(req);
+    if (!filter) {
+      return res.status(400).json({ error: "Invalid scope" });
+    }
+
+    const series = await buildChartSeries(
+      filter,
+      period,
+      await timezoneForRequest(req),
+      { from, to }
+    );
+    if (!series) {
+      return res.status(400).json({ error: "Invalid period" });
     }
 
-    res.json({ labels, values });
+    res.json(series);
   } catch (error) {
     console.error("Error fetching chart data:", error);
     res.status(500).json({ error: "Failed to fetch chart data" });
   }
 });
 
+// Web app manifest. Built per request so a signed-in user's install gets
+// shortcuts that quick-add the drinks they logged most recently.
+const WEB_APP_MANIFEST = {
+  name: "Caffeine Tracker",
+  short_name: "Caffeine",
+  description: "Log caffeine, track your limits and compare with friends",
+  start_url: "/",
+  scope: "/",
+  display: "standalone",
+  background_color: "#0e1013",
+  theme_color: "#0e1013",
+  icons: [
+    { src: "/images/icon-192.png", sizes: "192x192", type: "image/png" },
+    { src: "/images/icon-512.png", sizes: "512x512", type: "image/png" },
+    {
+      src: "/images/icon-maskable-512.png",
+      sizes: "512x512",
+      type: "image/png",
+      purpose: "maskable",
+    },
+  ],
+};
+const MANIFEST_SHORTCUTS = 4;
+
+app.get("/manifest.webmanifest", async (req, res) => {
+  try {
+    const recent = req.session.user
+      ? await recentDrinks(req.session.user.googleId, MANIFEST_SHORTCUTS)
+      : [];
+
+    res.type("application/manifest+json").json({
+      ...WEB_APP_MANIFEST,
+      shortcuts: recent.map(({ type, sizeName }) => ({
+        name: `Log ${sizeName} ${type.name}`,
+        short_name: type.name,
+        url: `/?quickAdd=${encodeURIComponent(`${type._id}:${sizeName}`)}`,
+        icons: [
+          { src: "/images/icon-192.png", sizes: "192x192", type: "image/png" },
+        ],
+      })),
+    });
+  } catch (error) {
+    console.error("Error building manifest:", error);
+    res.status(500).json({ error: "Failed to build manifest" });
+  }
+});
+
 // Serve the main page
 app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "index.html"));